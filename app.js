@@ -2,7 +2,7 @@
  * Bun Butter Bakery POS - Core Application Logic
  * Structure:
  * 1. Global Helpers (UUID, Date)
- * 2. Store Class (LocalStorage Wrapper)
+ * 2. Store Class (IndexedDB with an in-memory cache)
  * 3. UI Class (DOM Manipulation)
  * 4. App Class (Business Logic)
  */
@@ -17,6 +17,354 @@ const getTimestamp = () => {
 };
 const getTodayDate = () => getTimestamp().split('T')[0];
 const getDaysInMonth = (month, year) => new Date(year, month + 1, 0).getDate();
+// 'YYYY-MM-DD' plus whole days, worked in UTC so DST never shifts the date
+const addDays = (dateStr, days) => {
+    const d = new Date(`${dateStr}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+// Raised under the write lock when another till has changed what an action was checked against.
+// Unlike storage failures (already reported by onWriteError) the message is for the user
+const conflictError = (message) => Object.assign(new Error(message), { conflict: true });
+
+// Loose items are priced per kg/L and sold in decimal quantities; everything else in whole units
+const LOOSE_UNITS = ['kg', 'L'];
+const isLooseUnit = (unit) => LOOSE_UNITS.includes(unit);
+const roundQty = (qty) => Math.round((parseFloat(qty) || 0) * 1000) / 1000; // Gram/ml precision
+const formatQty = (qty, unit) => `${roundQty(qty)} ${unit || 'pcs'}`;
+
+// Permission catalog; roles carry a subset of these keys plus a discount ceiling
+const PERMISSIONS = {
+    'inventory.manage': 'Manage products, categories and stock',
+    'purchases.record': 'Record purchases',
+    'expenses.record': 'Record expenses',
+    'customers.manage': 'Manage customers and khata',
+    'sales.edit': 'Edit or delete past bills',
+    'sales.below_cost': 'Sell below cost price',
+    'sales.return': 'Process returns and refunds',
+    'reports.view': 'View sales reports',
+    'drawer.view': 'View cash drawer report',
+    'reports.profit': 'View profit and expenses',
+    'staff.manage': 'Manage staff and roles',
+    'settings.manage': 'Change settings, backup and restore',
+    'audit.view': 'View the audit log'
+};
+const DEFAULT_ROLES = [
+    { name: 'Admin', permissions: Object.keys(PERMISSIONS), maxDiscountPercent: 100 },
+    { name: 'Manager', permissions: ['inventory.manage', 'purchases.record', 'expenses.record', 'customers.manage', 'sales.edit', 'sales.below_cost', 'sales.return', 'reports.view', 'drawer.view', 'reports.profit', 'audit.view'], maxDiscountPercent: 25 },
+    { name: 'Cashier', permissions: [], maxDiscountPercent: 5 },
+    { name: 'Baker', permissions: ['inventory.manage', 'purchases.record'], maxDiscountPercent: 0 },
+    { name: 'Accountant', permissions: ['purchases.record', 'expenses.record', 'customers.manage', 'reports.view', 'drawer.view', 'reports.profit', 'audit.view'], maxDiscountPercent: 0 }
+];
+
+// Audit log hashing (Web Crypto is async, so callers get a promise)
+const AUDIT_GENESIS_HASH = '0'.repeat(64);
+const sha256Hex = async (text) => toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+// Fixed field order so the same entry always hashes the same way
+const auditPayload = (e) => JSON.stringify([e.seq, e.timestamp, e.userId, e.userName, e.action, e.entity, e.entityId, e.before, e.after, e.prevHash]);
+
+// Staff credentials: PBKDF2-SHA256 with a per-user random salt, never stored in plain text
+const PASSWORD_HASH_ITERATIONS = 100000;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MINUTES = 15;
+const PIN_PATTERN = /^\d{4,6}$/;
+const CREDENTIAL_FIELDS = ['password', 'passwordHash', 'passwordSalt', 'pin', 'pinHash', 'pinSalt', 'failedLogins', 'lockedUntil'];
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(b => b.toString(16).padStart(2, '0')).join('');
+const generateSalt = () => toHex(crypto.getRandomValues(new Uint8Array(16)));
+const hashPassword = async (password, salt) => {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', salt: new TextEncoder().encode(salt), iterations: PASSWORD_HASH_ITERATIONS, hash: 'SHA-256' },
+        key, 256
+    );
+    return toHex(bits);
+};
+// Returns the fields to merge into a staff record for a new password / PIN
+const createCredentials = async (password) => {
+    const passwordSalt = generateSalt();
+    return { passwordHash: await hashPassword(password, passwordSalt), passwordSalt };
+};
+const createPinCredentials = async (pin) => {
+    const pinSalt = generateSalt();
+    return { pinHash: await hashPassword(pin, pinSalt), pinSalt };
+};
+// Constant-time compare so a mismatch does not leak how many characters matched
+const verifySecret = async (storedHash, salt, secret) => {
+    if (!storedHash || !salt) return false;
+    const hash = await hashPassword(secret, salt);
+    let diff = hash.length ^ storedHash.length;
+    for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ (storedHash.charCodeAt(i) || 0);
+    return diff === 0;
+};
+const verifyPassword = (staff, password) => verifySecret(staff.passwordHash, staff.passwordSalt, password);
+const verifyPin = (staff, pin) => verifySecret(staff.pinHash, staff.pinSalt, pin);
+
+// Sessions survive reloads until they expire; idle counters lock to the PIN screen
+const DEFAULT_SESSION_HOURS = 12;
+const DEFAULT_IDLE_LOCK_MINUTES = 5;
+const SESSION_CHECK_INTERVAL = 15000;
+const stripCredentials = (staff) => {
+    const clean = { ...staff };
+    CREDENTIAL_FIELDS.forEach(f => delete clean[f]);
+    return clean;
+};
+
+// Discounts are stored as { type: 'percent' | 'flat', value }
+const calcDiscountAmount = (base, discount) => {
+    if (!discount || !discount.value || base <= 0) return 0;
+    const amount = discount.type === 'percent' ? (base * discount.value) / 100 : discount.value;
+    return Math.min(Math.max(amount, 0), base); // Never discount below zero
+};
+// Accepts "10%" (percentage) or "50" (flat rupees); empty input clears the discount
+const parseDiscountInput = (input) => {
+    const text = (input || '').toString().trim();
+    if (!text) return { type: 'flat', value: 0 };
+    const isPercent = text.endsWith('%');
+    const value = parseFloat(text.replace('%', ''));
+    if (isNaN(value) || value < 0 || (isPercent && value > 100)) return null;
+    return { type: isPercent ? 'percent' : 'flat', value };
+};
+// Tender lines of a sale; bills saved before split payments carry a single `mode`
+const PAYMENT_MODE_LABELS = { cash: 'Cash', upi: 'UPI/GPay', credit: 'Credit (Khata)' };
+const WASTAGE_REASONS = { unsold: 'Unsold (end of day)', expired: 'Expired', damaged: 'Damaged', quality: 'Quality issue', other: 'Other' };
+const STOCK_MOVEMENT_LABELS = { sale: 'Sale', return: 'Return', purchase: 'Purchase', bake: 'Bake', adjustment: 'Adjustment', import: 'Import', wastage: 'Wastage' };
+
+// Batches carry the stock that came in dated (purchases and bakes). Stock outside them is untracked:
+// it predates batch tracking or came from a count, and goes out first. Batches go oldest-made first
+const batchOrder = (a, b) => (a.mfgDate || '').localeCompare(b.mfgDate || '')
+    || (a.expiryDate || '9999-12-31').localeCompare(b.expiryDate || '9999-12-31');
+const untrackedStock = (product) => Math.max(0, roundQty(product.stock - (product.batches || []).reduce((sum, b) => sum + b.qty, 0)));
+// Which batches qty would be taken from, without changing the product
+const allocateBatches = (product, qty) => {
+    let remaining = roundQty(qty - untrackedStock(product));
+    const allocation = [];
+    [...(product.batches || [])].sort(batchOrder).forEach(b => {
+        if (remaining <= 0) return;
+        const take = roundQty(Math.min(b.qty, remaining));
+        allocation.push({ batchId: b.id, qty: take, mfgDate: b.mfgDate, expiryDate: b.expiryDate });
+        remaining = roundQty(remaining - take);
+    });
+    return allocation;
+};
+// Good through its expiry date; expired the day after
+const isExpired = (batch, today = getTodayDate()) => !!batch.expiryDate && batch.expiryDate < today;
+// 'expired', 'expiring' (today) or null, for the batches still in stock
+const expiryStatus = (product, today = getTodayDate()) => {
+    const dated = (product.batches || []).filter(b => b.qty > 0 && b.expiryDate);
+    if (dated.some(b => isExpired(b, today))) return 'expired';
+    if (dated.some(b => b.expiryDate === today)) return 'expiring';
+    return null;
+};
+
+// Ledger entries that bring a product list's current stock onto a fresh ledger
+const openingStockEntries = (products) => {
+    const date = getTimestamp();
+    return products.filter(p => roundQty(p.stock)).map(p => ({
+        id: generateId(), productId: p.id, productName: p.name, date, type: 'adjustment',
+        qty: roundQty(p.stock), balance: roundQty(p.stock), ref: 'Opening balance'
+    }));
+};
+const getSalePayments = (sale) => sale.payments && sale.payments.length
+    ? sale.payments
+    : [{ mode: sale.mode, amount: sale.total }];
+const getPaymentAmount = (sale, mode) => getSalePayments(sale)
+    .reduce((sum, p) => sum + (p.mode === mode ? p.amount : 0), 0);
+const describePayments = (sale) => {
+    const payments = getSalePayments(sale);
+    if (payments.length === 1) return PAYMENT_MODE_LABELS[payments[0].mode] || payments[0].mode;
+    return payments.map(p => `${PAYMENT_MODE_LABELS[p.mode] || p.mode} ${formatMoney(p.amount)}`).join(' + ');
+};
+const formatDiscount = (discount) => discount && discount.value
+    ? (discount.type === 'percent' ? `${discount.value}%` : formatMoney(discount.value))
+    : '';
+
+// IndexedDB layout: every collection row lives in 'records' as { c, k, pos, v } so a change
+// writes only the rows it touched; settings and counters live in 'values'
+const DB_NAME = 'bunbutter_pos';
+const DB_VERSION = 1;
+const RECORD_KEY_FIELDS = { pos_audit_log: 'seq', pos_daily_logs: 'date', pos_roles: 'name' }; // Default 'id'
+const COLLECTION_RANGE = (c) => IDBKeyRange.bound([c, -Infinity], [c, []]);
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('This browser does not support IndexedDB'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('records')) db.createObjectStore('records', { keyPath: ['c', 'k'] });
+        if (!db.objectStoreNames.contains('values')) db.createObjectStore('values');
+    };
+    return requestToPromise(request);
+};
+
+// Tabs share one database: read-modify-writes hold a Web Lock, and every save is broadcast
+const SYNC_CHANNEL = 'bunbutter_pos_sync';
+const WRITE_LOCK = 'bunbutter_pos_write';
+const TAB_LOCK_PREFIX = 'bunbutter_pos_tab_'; // Held for a tab's lifetime; gone once the tab closes or crashes
+
+// Stored data carries a schema version. Each migration runs once, in order, and works on a plain
+// { storeKey: value } object so the live store and old backup files are upgraded by the same code.
+// Add new migrations at the end and bump SCHEMA_VERSION; never edit one that has shipped.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Drop the old built-in hidden super admin account',
+        up: (data) => {
+            if (data.pos_staff) data.pos_staff = data.pos_staff.filter(s => !s.isHidden);
+        }
+    },
+    {
+        version: 2,
+        description: "The old generic 'Staff' role becomes Cashier",
+        up: (data) => {
+            (data.pos_staff || []).forEach(s => { if (s.role === 'Staff') s.role = 'Cashier'; });
+        }
+    },
+    {
+        version: 3,
+        description: 'The shared admin PIN gave way to per-manager override PINs',
+        up: (data) => {
+            if (data.pos_settings) delete data.pos_settings.adminPin;
+        }
+    },
+    {
+        version: 4,
+        description: 'Roles get permissions added after they were saved, alongside the one each grew out of',
+        up: (data) => {
+            const grants = { 'sales.below_cost': 'sales.edit', 'drawer.view': 'reports.view' };
+            (data.pos_roles || []).forEach(r => {
+                // knownPermissions was the pre-versioning marker that this grant had already run
+                const seen = r.knownPermissions || [];
+                Object.keys(grants).forEach(perm => {
+                    if (!seen.includes(perm) && r.permissions.includes(grants[perm]) && !r.permissions.includes(perm)) {
+                        r.permissions.push(perm);
+                    }
+                });
+                delete r.knownPermissions;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Products carry a category and numeric salesPrice and purchasePrice; price mirrors salesPrice',
+        up: (data) => {
+            (data.pos_products || []).forEach(p => {
+                const salesPrice = parseFloat(p.salesPrice) || parseFloat(p.price) || 0;
+                p.salesPrice = salesPrice;
+                p.price = salesPrice;
+                // An unknown cost was always reported as the sale price (zero margin); keep it that way
+                p.purchasePrice = parseFloat(p.purchasePrice) || salesPrice;
+                p.stock = roundQty(p.stock);
+                if (!p.category) p.category = 'Uncategorized';
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Attendance records use a status instead of a present flag',
+        up: (data) => {
+            (data.pos_staff || []).forEach(s => {
+                (s.attendanceRecords || []).forEach(r => {
+                    if (!r.status) r.status = r.present === true ? 'present' : 'absent';
+                    delete r.present;
+                });
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Sales without an id (Excel backups) get one; their returns are relinked by bill number',
+        up: (data) => {
+            if (!data.pos_sales) return;
+            const oldIds = {};
+            data.pos_sales.forEach(s => {
+                if (s.id) return;
+                s.id = generateId();
+                oldIds[s.billNo] = s.id;
+            });
+            const ids = new Set(data.pos_sales.map(s => s.id));
+            (data.pos_returns || []).forEach(r => {
+                if (!ids.has(r.saleId) && oldIds[r.billNo]) r.saleId = oldIds[r.billNo];
+            });
+        }
+    },
+    {
+        version: 8,
+        description: 'Stock movements go to a ledger; it opens with the stock each product has now',
+        up: (data) => {
+            if (data.pos_products) data.pos_stock_ledger = openingStockEntries(data.pos_products);
+        }
+    },
+    {
+        version: 9,
+        description: 'A sale discount includes the loyalty points redeemed on it',
+        up: (data) => {
+            const fold = (sale) => {
+                if (sale && sale.pointsDiscount) sale.discount = (sale.discount || 0) + sale.pointsDiscount;
+            };
+            (data.pos_sales || []).forEach(fold);
+            (data.pos_journal || []).forEach(e => fold(e.payload && e.payload.sale));
+        }
+    }
+];
+const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Upgrades data (mutated in place) from fromVersion to SCHEMA_VERSION
+const migrateData = (data, fromVersion) => {
+    SCHEMA_MIGRATIONS.filter(m => m.version > fromVersion).forEach(m => m.up(data));
+    return data;
+};
+
+// Fields every stored record must have, by type; anything else is optional
+const RECORD_SCHEMAS = {
+    pos_products: { id: 'string', name: 'string', category: 'string', price: 'number', salesPrice: 'number', purchasePrice: 'number', stock: 'number' },
+    pos_staff: { id: 'string', name: 'string', role: 'string' },
+    pos_sales: { id: 'string', billNo: 'number', date: 'string', items: 'array', total: 'number' },
+    pos_returns: { id: 'string', creditNoteNo: 'number', saleId: 'string', items: 'array', total: 'number' },
+    pos_purchases: { id: 'string', date: 'string', items: 'array' },
+    pos_expenses: { id: 'string', date: 'string', amount: 'number' },
+    pos_customers: { id: 'string', name: 'string' },
+    pos_daily_logs: { date: 'string' },
+    pos_held_bills: { id: 'string', cart: 'array' },
+    pos_roles: { name: 'string', permissions: 'array', maxDiscountPercent: 'number' },
+    pos_audit_log: { seq: 'number', hash: 'string' },
+    pos_journal: { id: 'string', type: 'string', startedAt: 'string' },
+    pos_stock_ledger: { id: 'string', productId: 'string', date: 'string', type: 'string', qty: 'number', balance: 'number' },
+    pos_wastage: { id: 'string', date: 'string', productId: 'string', qty: 'number', reason: 'string', costValue: 'number' }
+};
+const matchesType = (value, type) => {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'number') return typeof value === 'number' && isFinite(value);
+    return typeof value === type;
+};
+
+// Returns a list of problems ("pos_sales #4: total should be a number"); empty means valid
+const validateData = (data) => {
+    const problems = [];
+    if (data.pos_settings !== undefined && (typeof data.pos_settings !== 'object' || Array.isArray(data.pos_settings) || !data.pos_settings)) {
+        problems.push('pos_settings: should be an object');
+    }
+    Object.entries(RECORD_SCHEMAS).forEach(([key, fields]) => {
+        if (data[key] === undefined) return;
+        if (!Array.isArray(data[key])) {
+            problems.push(`${key}: should be a list`);
+            return;
+        }
+        data[key].forEach((record, i) => {
+            if (!record || typeof record !== 'object') {
+                problems.push(`${key} #${i + 1}: not a record`);
+                return;
+            }
+            Object.entries(fields).forEach(([field, type]) => {
+                if (!matchesType(record[field], type)) problems.push(`${key} #${i + 1}: ${field} should be ${type === 'array' ? 'a list' : `a ${type}`}`);
+            });
+        });
+    });
+    return problems;
+};
 
 // --- 2. Store Class ---
 class Store {
@@ -29,206 +377,949 @@ class Store {
             LAST_BILL: 'pos_lastBill',
             EXPENSES: 'pos_expenses',
             PURCHASES: 'pos_purchases',
-            DAILY_LOGS: 'pos_daily_logs'
+            DAILY_LOGS: 'pos_daily_logs',
+            CUSTOMERS: 'pos_customers',
+            HELD_BILLS: 'pos_held_bills',
+            RETURNS: 'pos_returns',
+            LAST_CREDIT_NOTE: 'pos_lastCreditNote',
+            AUDIT: 'pos_audit_log',
+            ROLES: 'pos_roles',
+            SESSION: 'pos_session',
+            SCHEMA_VERSION: 'pos_schemaVersion',
+            JOURNAL: 'pos_journal',
+            STOCK_LEDGER: 'pos_stock_ledger',
+            STOCK_NOTICE: 'pos_stockNotice', // Ledger mismatches already put to a user
+            WASTAGE: 'pos_wastage'
         };
+        this.db = null;
+        this.cache = {}; // key -> parsed value; reads never wait on IndexedDB
+        this.rows = {}; // collection key -> Map(recordKey -> { pos, json }) as last written
+        this.batchOps = null;
+        this.pendingWrites = new Set();
+        this.onWriteError = (err) => console.error('Storage write failed:', err);
+        this.writeSeq = 0;
+        this.lastWrite = {}; // key -> writeSeq of this tab's latest change, so a refresh never undoes it
+        this.channel = null;
+        this.onRemoteChange = () => {};
+        this.tabId = generateId();
+    }
+
+    // Loads everything into memory, moves old localStorage data across once, seeds defaults,
+    // then brings the data up to the current schema version
+    async open() {
+        this.db = await openDatabase();
+        this.listenForChanges();
+        await this.load();
+        if (!this.has(this.keys.SETTINGS) && localStorage.getItem(this.keys.SETTINGS)) {
+            await this.migrateFromLocalStorage();
+        }
         this.init();
+        await this.migrate();
+        await this.flush();
+        // Never released: recover() in another tab reads it as "this tab is still running"
+        if (navigator.locks) navigator.locks.request(TAB_LOCK_PREFIX + this.tabId, () => new Promise(() => {}));
+        // Ask the browser not to evict the shop's data under storage pressure
+        if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+    }
+
+    async load() {
+        const tx = this.db.transaction(['records', 'values'], 'readonly');
+        const [rows, valueKeys, values] = await Promise.all([
+            requestToPromise(tx.objectStore('records').getAll()),
+            requestToPromise(tx.objectStore('values').getAllKeys()),
+            requestToPromise(tx.objectStore('values').getAll())
+        ]);
+        this.cache = {};
+        this.rows = {};
+        rows.sort((a, b) => a.pos - b.pos).forEach(row => {
+            if (!this.cache[row.c]) {
+                this.cache[row.c] = [];
+                this.rows[row.c] = new Map();
+            }
+            this.cache[row.c].push(row.v);
+            this.rows[row.c].set(row.k, { pos: row.pos, json: JSON.stringify(row.v) });
+        });
+        valueKeys.forEach((key, i) => { this.cache[key] = values[i]; });
+        // Collections are stored as rows, so an emptied one leaves a marker to tell it from "never seeded"
+        (this.cache.__collections || []).forEach(c => {
+            if (!this.cache[c]) {
+                this.cache[c] = [];
+                this.rows[c] = new Map();
+            }
+        });
+        // No rows on disk is a known state too: a first write then only adds rows, never wipes another tab's
+        Object.keys(RECORD_SCHEMAS).forEach(c => {
+            if (!this.rows[c]) this.rows[c] = new Map();
+        });
+    }
+
+    // Other tabs announce the keys they saved; this tab re-reads them so its cache never goes stale
+    listenForChanges() {
+        const onChange = (keys) => this.refresh(keys)
+            .then(() => this.onRemoteChange(keys), err => console.error('Refresh after remote change failed:', err));
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(SYNC_CHANNEL);
+            this.channel.onmessage = (e) => onChange(e.data.keys);
+        } else {
+            // Older browsers: a localStorage write fires 'storage' in every other tab
+            window.addEventListener('storage', (e) => {
+                if (e.key === SYNC_CHANNEL && e.newValue) onChange(JSON.parse(e.newValue).keys);
+            });
+        }
+    }
+
+    // Each tab keeps its own login in memory, so session saves are not announced
+    announce(keys) {
+        const shared = keys.filter(k => k !== this.keys.SESSION);
+        if (!shared.length) return;
+        if (this.channel) this.channel.postMessage({ keys: shared });
+        else localStorage.setItem(SYNC_CHANNEL, JSON.stringify({ keys: shared, at: Date.now() }));
+    }
+
+    // Re-reads keys from IndexedDB; a key this tab changed after the read began keeps its newer value
+    async refresh(keys) {
+        await this.flush();
+        const since = this.writeSeq;
+        const isCollection = (key) => key in RECORD_SCHEMAS; // Every collection has a schema
+        const tx = this.db.transaction(['records', 'values'], 'readonly');
+        const results = await Promise.all(keys.map(key => requestToPromise(isCollection(key)
+            ? tx.objectStore('records').getAll(COLLECTION_RANGE(key))
+            : tx.objectStore('values').get(key))));
+        const changedMeanwhile = [];
+        keys.forEach((key, i) => {
+            if ((this.lastWrite[key] || 0) > since) {
+                changedMeanwhile.push(key);
+                return;
+            }
+            if (!isCollection(key)) {
+                this.cache[key] = results[i];
+                return;
+            }
+            const rows = results[i].sort((a, b) => a.pos - b.pos);
+            this.cache[key] = rows.map(row => row.v);
+            this.rows[key] = new Map(rows.map(row => [row.k, { pos: row.pos, json: JSON.stringify(row.v) }]));
+        });
+        // Read again once this tab's own write has landed, so the other tab's change is not missed
+        if (changedMeanwhile.length) await this.refresh(changedMeanwhile);
+    }
+
+    // Read-modify-write that must not race another tab: holds the cross-tab write lock, re-reads
+    // keys from IndexedDB, then runs fn, which returns its write promise so the lock covers the commit
+    exclusive(keys, fn) {
+        const run = async () => {
+            try {
+                await this.refresh(keys);
+            } catch (err) {
+                this.onWriteError(err);
+                throw err;
+            }
+            return fn();
+        };
+        // Without Web Locks (very old browsers) a single till is assumed
+        return this.handled(navigator.locks ? navigator.locks.request(WRITE_LOCK, run) : run());
+    }
+
+    // Storage failures are already reported through onWriteError, so writes nobody awaits (settings,
+    // sessions, seeding...) must not end up as unhandled rejections; callers that await still get it
+    handled(promise) {
+        promise.catch(() => {});
+        return promise;
+    }
+
+    // One-off copy of the old localStorage keys; they are removed only after IndexedDB has them
+    async migrateFromLocalStorage() {
+        const keys = Object.values(this.keys).filter(k => localStorage.getItem(k) !== null);
+        await this.batch(() => {
+            keys.forEach(k => {
+                const raw = localStorage.getItem(k);
+                let value;
+                try { value = JSON.parse(raw); } catch (e) { value = raw; }
+                if (Array.isArray(value)) this.set(k, value);
+                else this.setValue(k, value);
+            });
+        });
+        keys.forEach(k => localStorage.removeItem(k));
     }
 
     init() {
         // Seed default data if empty
-        if (!localStorage.getItem(this.keys.SETTINGS)) {
+        if (!this.has(this.keys.SETTINGS)) {
+            // A fresh install starts on the current schema; there is nothing to migrate
+            this.setValue(this.keys.SCHEMA_VERSION, SCHEMA_VERSION);
             const defaultSettings = {
                 shopName: 'Bun Butter',
                 address: 'Main Street, City',
                 phone: '9876543210',
                 gstNo: '',
                 defaultGstPercent: 0,
-                adminPin: '1234'
+                loyaltyEarnRate: 1,
+                loyaltyPointValue: 1,
+                sessionHours: DEFAULT_SESSION_HOURS,
+                idleLockMinutes: DEFAULT_IDLE_LOCK_MINUTES,
+                expiredStockAction: 'warn'
             };
-            localStorage.setItem(this.keys.SETTINGS, JSON.stringify(defaultSettings));
+            this.set(this.keys.SETTINGS, defaultSettings);
         }
 
-        if (!localStorage.getItem(this.keys.PRODUCTS)) {
+        if (!this.has(this.keys.PRODUCTS)) {
             // Sample Data
             const samples = [
-                { id: generateId(), name: 'Chocolate Cake', category: 'Cakes', price: 500, stock: 20 },
-                { id: generateId(), name: 'Butter Croissant', category: 'Pastries', price: 80, stock: 50 },
-                { id: generateId(), name: 'White Bread', category: 'Breads', price: 40, stock: 30 }
+                { id: generateId(), name: 'Chocolate Cake', category: 'Cakes', price: 500, salesPrice: 500, purchasePrice: 350, stock: 20, unit: 'pcs' },
+                { id: generateId(), name: 'Butter Croissant', category: 'Pastries', price: 80, salesPrice: 80, purchasePrice: 50, stock: 50, unit: 'pcs' },
+                { id: generateId(), name: 'White Bread', category: 'Breads', price: 40, salesPrice: 40, purchasePrice: 25, stock: 30, unit: 'pcs' }
             ];
-            localStorage.setItem(this.keys.PRODUCTS, JSON.stringify(samples));
-        }
-
-        // Migration: Fix legacy Admin data (if missing username)
-        if (localStorage.getItem(this.keys.STAFF)) {
-            let staff = JSON.parse(localStorage.getItem(this.keys.STAFF));
-            let changed = false;
-            staff = staff.map(s => {
-                if (s.role === 'Admin' && !s.username) {
-                    s.username = 'admin';
-                    s.password = '123';
-                    changed = true;
-                }
-                return s;
-            });
-            if (changed) localStorage.setItem(this.keys.STAFF, JSON.stringify(staff));
-        }
-
-        if (!localStorage.getItem(this.keys.STAFF)) {
-            const admin = { id: generateId(), name: 'Admin', role: 'Admin', username: 'admin', password: '123', salary: 0, employed: true };
-            localStorage.setItem(this.keys.STAFF, JSON.stringify([admin]));
-        }
-
-        // Ensure Super Admin 'viki' exists
-        let staff = this.get(this.keys.STAFF);
-        if (!staff.find(s => s.username === 'viki')) {
-            const superAdmin = {
-                id: generateId(),
-                name: 'Viki',
-                role: 'Admin', // Use Admin role for permissions
-                username: 'viki',
-                password: '1101',
-                salary: 0,
-                employed: true,
-                isHidden: true // Custom flag to hide from UI
-            };
-            staff.push(superAdmin);
-            this.set(this.keys.STAFF, staff);
+            this.set(this.keys.PRODUCTS, samples);
+            this.set(this.keys.STOCK_LEDGER, openingStockEntries(samples));
+        }
+
+        // No accounts are seeded; the first admin is created on the first-run setup screen
+        if (!this.has(this.keys.STAFF)) {
+            this.set(this.keys.STAFF, []);
         }
 
-        if (!localStorage.getItem(this.keys.LAST_BILL)) {
-            localStorage.setItem(this.keys.LAST_BILL, '0');
+        if (!this.has(this.keys.LAST_BILL)) {
+            this.setValue(this.keys.LAST_BILL, '0');
         }
 
-        if (!localStorage.getItem(this.keys.EXPENSES)) {
-            localStorage.setItem(this.keys.EXPENSES, JSON.stringify([]));
+        if (!this.has(this.keys.EXPENSES)) {
+            this.set(this.keys.EXPENSES, []);
+        }
+        if (!this.has(this.keys.PURCHASES)) {
+            this.set(this.keys.PURCHASES, []);
+        }
+        if (!this.has(this.keys.DAILY_LOGS)) {
+            this.set(this.keys.DAILY_LOGS, []);
+        }
+        if (!this.has(this.keys.CUSTOMERS)) {
+            this.set(this.keys.CUSTOMERS, []);
+        }
+        if (!this.has(this.keys.HELD_BILLS)) {
+            this.set(this.keys.HELD_BILLS, []);
         }
-        if (!localStorage.getItem(this.keys.PURCHASES)) {
-            localStorage.setItem(this.keys.PURCHASES, JSON.stringify([]));
+        if (!this.has(this.keys.RETURNS)) {
+            this.set(this.keys.RETURNS, []);
+        }
+        if (!this.has(this.keys.AUDIT)) {
+            this.set(this.keys.AUDIT, []);
+        }
+        if (!this.has(this.keys.ROLES)) {
+            this.set(this.keys.ROLES, DEFAULT_ROLES);
+        }
+        if (!this.has(this.keys.JOURNAL)) {
+            this.set(this.keys.JOURNAL, []);
+        }
+        if (!this.has(this.keys.STOCK_LEDGER)) {
+            this.set(this.keys.STOCK_LEDGER, []);
+        }
+        if (!this.has(this.keys.WASTAGE)) {
+            this.set(this.keys.WASTAGE, []);
+        }
+    }
+
+    // Settings and every collection, keyed by storage key, as copies for migrateData/validateData
+    snapshot() {
+        const data = {};
+        [this.keys.SETTINGS, ...Object.keys(RECORD_SCHEMAS)].forEach(k => {
+            if (this.has(k)) data[k] = this.get(k);
+        });
+        return data;
+    }
+
+    getSchemaVersion() { return parseInt(this.getValue(this.keys.SCHEMA_VERSION)) || 0; }
+
+    // Runs the migrations the stored data has not seen yet; all of them are saved together or not at all
+    migrate() {
+        const fromVersion = this.getSchemaVersion();
+        if (fromVersion >= SCHEMA_VERSION) return Promise.resolve();
+        const data = migrateData(this.snapshot(), fromVersion);
+        return this.batch(() => {
+            Object.entries(data).forEach(([key, value]) => this.set(key, value));
+            this.setValue(this.keys.SCHEMA_VERSION, SCHEMA_VERSION);
+        });
+    }
+
+    validate() { return validateData(this.snapshot()); }
+
+    // Generic Get/Set: reads are copies from the cache so callers can mutate and set() back
+    has(key) { return this.cache[key] !== undefined; }
+    get(key) {
+        const value = this.cache[key];
+        return value === undefined || value === null ? [] : JSON.parse(JSON.stringify(value));
+    }
+    set(key, data) {
+        return Array.isArray(data) ? this.writeCollection(key, data) : this.setValue(key, data);
+    }
+    getValue(key) { return this.cache[key] === undefined ? null : this.cache[key]; }
+    setValue(key, value) {
+        const previous = this.cache[key];
+        this.cache[key] = value === undefined ? value : JSON.parse(JSON.stringify(value));
+        return this.queueWrite(key,
+            (records, values) => { if (value === undefined) values.delete(key); else values.put(this.cache[key], key); },
+            () => { this.cache[key] = previous; }
+        );
+    }
+    removeValue(key) { return this.setValue(key, undefined); }
+
+    // Single-record changes to a collection, made under the lock on the list as stored now so two
+    // tabs never undo each other. Resolve once saved; a storage failure rejects as set() does.
+    // Saving merges into an existing record, so fields another tab added meanwhile are kept
+    saveRecord(key, record) {
+        return this.exclusive([key], () => this.batch(() => {
+            const list = this.get(key);
+            const index = list.findIndex(r => r.id === record.id);
+            if (index > -1) list[index] = { ...list[index], ...record };
+            else list.push(record);
+            this.set(key, list);
+        }));
+    }
+    // change is the fields to merge, or a function of the stored record returning them; resolves to the updated record (null if gone)
+    updateRecord(key, id, change) {
+        let updated = null;
+        return this.exclusive([key], () => this.batch(() => {
+            const list = this.get(key);
+            const index = list.findIndex(r => r.id === id);
+            if (index === -1) return;
+            updated = list[index] = { ...list[index], ...(typeof change === 'function' ? change(list[index]) : change) };
+            this.set(key, list);
+        })).then(() => updated);
+    }
+    deleteRecord(key, id) {
+        return this.exclusive([key], () => this.batch(() => this.set(key, this.get(key).filter(r => r.id !== id))));
+    }
+
+    // Diffs against what was last written: changed rows are put, missing rows deleted.
+    // Appends keep existing positions; any reorder rewrites the whole collection.
+    writeCollection(key, data) {
+        const field = RECORD_KEY_FIELDS[key] || 'id';
+        let recordKeys = data.map(r => (r && r[field] !== undefined && r[field] !== null ? r[field] : null));
+        const keyed = recordKeys.every(k => typeof k === 'string' || typeof k === 'number')
+            && new Set(recordKeys).size === recordKeys.length;
+        if (!keyed) recordKeys = data.map((r, i) => `#${i}`); // No usable ids: key rows by position
+
+        const previousCache = this.cache[key];
+        const previousRows = this.rows[key];
+        const prev = previousRows || new Map();
+        const known = recordKeys.map(k => prev.get(k)).filter(Boolean);
+        const firstNew = recordKeys.findIndex(k => !prev.has(k));
+        const inOrder = !!previousRows
+            && known.every((row, i) => i === 0 || row.pos >= known[i - 1].pos) // Ties: two tabs appended at once
+            && (firstNew === -1 || recordKeys.slice(firstNew).every(k => !prev.has(k)));
+
+        // Appends are positioned by time so rows added by different tabs still sort in the order they happened
+        let nextPos = inOrder ? Date.now() : 0;
+        if (inOrder) prev.forEach(row => { nextPos = Math.max(nextPos, row.pos + 1); });
+        const next = new Map();
+        const puts = [];
+        data.forEach((record, i) => {
+            const k = recordKeys[i];
+            const json = JSON.stringify(record);
+            const old = inOrder ? prev.get(k) : null;
+            const pos = old ? old.pos : nextPos++;
+            next.set(k, { pos, json });
+            if (!old || old.json !== json) puts.push({ c: key, k, pos, v: JSON.parse(json) });
+        });
+        const deletes = inOrder ? [...prev.keys()].filter(k => !next.has(k)) : [];
+
+        this.cache[key] = data.map((r, i) => JSON.parse(next.get(recordKeys[i]).json));
+        this.rows[key] = next;
+        const collections = this.cache.__collections || [];
+        const registerCollection = !collections.includes(key);
+        if (registerCollection) this.cache.__collections = [...collections, key];
+
+        return this.queueWrite(key,
+            (records, values) => {
+                if (!inOrder) records.delete(COLLECTION_RANGE(key));
+                deletes.forEach(k => records.delete([key, k]));
+                puts.forEach(row => records.put(row));
+                if (registerCollection) values.put(this.cache.__collections, '__collections');
+            },
+            () => {
+                this.cache[key] = previousCache;
+                delete this.rows[key]; // Unknown on-disk state: the next write rewrites the collection
+            }
+        );
+    }
+
+    // Runs every set() inside fn as one IndexedDB transaction: all of it is saved or none of it
+    batch(fn) {
+        const outer = this.batchOps;
+        if (!outer) this.batchOps = [];
+        try {
+            fn();
+        } catch (err) {
+            if (!outer) {
+                this.batchOps.slice().reverse().forEach(op => op.revert());
+                this.batchOps = null;
+            }
+            throw err;
         }
-        if (!localStorage.getItem(this.keys.DAILY_LOGS)) {
-            localStorage.setItem(this.keys.DAILY_LOGS, JSON.stringify([]));
+        if (outer) return Promise.resolve();
+        const ops = this.batchOps;
+        this.batchOps = null;
+        return this.commit(ops);
+    }
+
+    queueWrite(key, apply, revert) {
+        const op = { key, apply, revert };
+        this.lastWrite[key] = ++this.writeSeq;
+        if (this.batchOps) {
+            this.batchOps.push(op);
+            return Promise.resolve();
         }
+        return this.commit([op]);
+    }
+
+    // On failure the cache is rolled back and the error reported, so the screen never shows unsaved data
+    commit(ops) {
+        const promise = new Promise((resolve, reject) => {
+            let tx;
+            try {
+                tx = this.db.transaction(['records', 'values'], 'readwrite');
+                const records = tx.objectStore('records');
+                const values = tx.objectStore('values');
+                ops.forEach(op => op.apply(records, values));
+            } catch (err) {
+                if (tx) tx.abort();
+                reject(err);
+                return;
+            }
+            tx.oncomplete = () => {
+                resolve();
+                this.announce([...new Set(ops.map(op => op.key))]);
+            };
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        }).catch(err => {
+            ops.slice().reverse().forEach(op => op.revert());
+            this.onWriteError(err);
+            throw err;
+        });
+        this.pendingWrites.add(promise);
+        const settle = () => this.pendingWrites.delete(promise);
+        promise.then(settle, settle);
+        return this.handled(promise);
+    }
+
+    // Resolves once everything written so far has reached IndexedDB (failures already reported)
+    flush() {
+        return Promise.all([...this.pendingWrites].map(p => p.catch(() => {})));
     }
 
-    // Generic Get/Set
-    get(key) { return JSON.parse(localStorage.getItem(key)) || []; }
-    set(key, data) { localStorage.setItem(key, JSON.stringify(data)); }
+    // Wipes every collection and value except the listed keys
+    async clearAll(keepKeys = []) {
+        await this.flush();
+        const keep = keepKeys.map(k => ({ k, value: this.cache[k] }));
+        const tx = this.db.transaction(['records', 'values'], 'readwrite');
+        tx.objectStore('records').clear();
+        tx.objectStore('values').clear();
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onabort = () => reject(tx.error);
+        });
+        this.cache = {};
+        this.rows = {};
+        await this.batch(() => keep.forEach(({ k, value }) => { if (value !== undefined) this.set(k, value); }));
+    }
 
     // Specific CRUD
     getProducts() { return this.get(this.keys.PRODUCTS); }
-    saveProduct(product) {
-        const products = this.getProducts();
-        const index = products.findIndex(p => p.id === product.id);
-        if (index > -1) products[index] = product;
-        else products.push(product);
-        this.set(this.keys.PRODUCTS, products);
+    // Product details are saved as given but stock only moves through the ledger: a counted stock
+    // is posted as an adjustment for the difference, null leaves it as it is
+    saveProduct(product, countedStock = null) {
+        return this.exclusive([this.keys.PRODUCTS], () => this.batch(() => {
+            const products = this.getProducts();
+            const index = products.findIndex(p => p.id === product.id);
+            const { stock = 0, batches } = index > -1 ? products[index] : {};
+            if (index > -1) products[index] = { ...product, stock, batches };
+            else products.push({ ...product, stock });
+            this.set(this.keys.PRODUCTS, products);
+            if (countedStock !== null && roundQty(countedStock - stock)) {
+                this.moveStock('adjustment', [{ productId: product.id, qty: countedStock - stock }], index > -1 ? 'Stock count' : 'Opening stock');
+            }
+        }));
     }
-    deleteProduct(id) {
-        const products = this.getProducts().filter(p => p.id !== id);
-        this.set(this.keys.PRODUCTS, products);
+    deleteProduct(id) { return this.deleteRecord(this.keys.PRODUCTS, id); }
+    // Renames (or clears) a category on the products in it; nothing else on them is touched
+    renameCategory(from, to) {
+        return this.exclusive([this.keys.PRODUCTS], () => this.batch(() => {
+            const products = this.getProducts();
+            products.forEach(p => { if (p.category === from) p.category = to; });
+            this.set(this.keys.PRODUCTS, products);
+        }));
     }
 
-    importProducts(newProducts) {
+    // Exact lookup used by barcode scanners and SKU entry at the billing counter
+    findProductByCode(code) {
+        const value = (code || '').toString().trim().toLowerCase();
+        if (!value) return undefined;
         const products = this.getProducts();
+        return products.find(p => (p.barcode || '').toString().toLowerCase() === value)
+            || products.find(p => (p.sku || '').toString().toLowerCase() === value);
+    }
+
+    // Imported quantities add to stock and are posted to the ledger as 'import'.
+    // Rows are matched and merged under the lock, so products another till just added or renamed are kept
+    importProducts(newProducts) {
         let added = 0;
         let updated = 0;
+        return this.exclusive([this.keys.PRODUCTS], () => this.batch(() => {
+            const products = this.getProducts();
+            const moves = [];
+
+            newProducts.forEach(p => {
+                // Basic validation
+                if (!p.name || !p.price) return;
+                const salesPrice = parseFloat(p.salesPrice || p.price);
+
+                // Barcode is the stronger identity; fall back to name for sheets without one
+                let existingIndex = p.barcode ? products.findIndex(ep => ep.barcode && ep.barcode === p.barcode) : -1;
+                if (existingIndex === -1) existingIndex = products.findIndex(ep => ep.name.toLowerCase() === p.name.toLowerCase());
+
+                if (existingIndex > -1) {
+                    // Update existing
+                    const existing = products[existingIndex];
+                    moves.push({ productId: existing.id, qty: parseFloat(p.stock) || 0 });
+                    existing.salesPrice = existing.price = salesPrice;
+                    if (p.purchasePrice) existing.purchasePrice = parseFloat(p.purchasePrice);
+                    if (p.category) existing.category = p.category;
+                    if (p.sku) existing.sku = p.sku;
+                    if (p.barcode) existing.barcode = p.barcode;
+                    products[existingIndex] = existing;
+                    updated++;
+                } else {
+                    // Add new
+                    const id = generateId();
+                    moves.push({ productId: id, qty: parseFloat(p.stock) || 0 });
+                    products.push({
+                        id,
+                        name: p.name,
+                        category: p.category || 'Uncategorized',
+                        price: salesPrice,
+                        salesPrice,
+                        purchasePrice: parseFloat(p.purchasePrice) || salesPrice, // Unknown cost: zero margin, as migrated data
+                        stock: 0,
+                        unit: p.unit || 'pcs',
+                        sku: p.sku || '',
+                        barcode: p.barcode || ''
+                    });
+                    added++;
+                }
+            });
 
-        newProducts.forEach(p => {
-            // Basic validation
-            if (!p.name || !p.price) return;
-
-            const existingIndex = products.findIndex(ep => ep.name.toLowerCase() === p.name.toLowerCase());
-
-            if (existingIndex > -1) {
-                // Update existing
-                const existing = products[existingIndex];
-                existing.stock += (parseInt(p.stock) || 0);
-                existing.price = parseFloat(p.price);
-                if (p.salesPrice) existing.salesPrice = parseFloat(p.salesPrice);
-                if (p.purchasePrice) existing.purchasePrice = parseFloat(p.purchasePrice);
-                if (p.category) existing.category = p.category;
-                products[existingIndex] = existing;
-                updated++;
-            } else {
-                // Add new
-                products.push({
-                    id: generateId(),
-                    name: p.name,
-                    category: p.category || 'Uncategorized',
-                    price: parseFloat(p.price),
-                    salesPrice: parseFloat(p.salesPrice || p.price),
-                    purchasePrice: parseFloat(p.purchasePrice || 0),
-                    stock: parseInt(p.stock) || 0,
-                    unit: p.unit || 'pcs'
-                });
-                added++;
-            }
-        });
-
-        this.set(this.keys.PRODUCTS, products);
-        return { added, updated };
+            this.set(this.keys.PRODUCTS, products);
+            this.moveStock('import', moves, 'Product import');
+        })).then(() => ({ added, updated }));
     }
 
     getStaff() { return this.get(this.keys.STAFF); }
-    saveStaff(staffMember) {
-        const staff = this.getStaff();
-        const index = staff.findIndex(s => s.id === staffMember.id);
-        if (index > -1) staff[index] = staffMember;
-        else staff.push(staffMember);
-        this.set(this.keys.STAFF, staff);
+    saveStaff(staffMember) { return this.saveRecord(this.keys.STAFF, staffMember); }
+    deleteStaff(id) { return this.deleteRecord(this.keys.STAFF, id); }
+    findStaffByUsername(username) {
+        const name = (username || '').trim().toLowerCase();
+        return name ? this.getStaff().find(s => s.username && s.username.toLowerCase() === name) : undefined;
     }
-    deleteStaff(id) {
-        const staff = this.getStaff().filter(s => s.id !== id);
-        this.set(this.keys.STAFF, staff);
+    // Merges fields into one staff record (login counters, credentials, attendance) without a full form save
+    updateStaff(id, change) { return this.updateRecord(this.keys.STAFF, id, change); }
+    // True once at least one Admin can actually sign in
+    hasAdminLogin() {
+        return this.getStaff().some(s => s.role === 'Admin' && s.username && s.passwordHash);
+    }
+
+    getCustomers() { return this.get(this.keys.CUSTOMERS); }
+    saveCustomer(customer) { return this.saveRecord(this.keys.CUSTOMERS, customer); }
+    updateCustomer(id, change) { return this.updateRecord(this.keys.CUSTOMERS, id, change); }
+    findCustomerByPhone(phone) {
+        const digits = (phone || '').replace(/\D/g, '');
+        if (!digits) return undefined;
+        return this.getCustomers().find(c => (c.phone || '').replace(/\D/g, '') === digits);
     }
 
-    getSettings() { return JSON.parse(localStorage.getItem(this.keys.SETTINGS)); }
-    saveSettings(settings) { localStorage.setItem(this.keys.SETTINGS, JSON.stringify(settings)); }
+    // Parked carts waiting to be resumed; no bill number is assigned until checkout
+    getHeldBills() { return this.get(this.keys.HELD_BILLS); }
+    saveHeldBill(held) {
+        const heldBills = this.getHeldBills();
+        heldBills.push(held);
+        this.set(this.keys.HELD_BILLS, heldBills);
+    }
+    deleteHeldBill(id) {
+        this.set(this.keys.HELD_BILLS, this.getHeldBills().filter(h => h.id !== id));
+    }
 
-    addSale(sale) {
-        const sales = this.get(this.keys.SALES);
-        sales.push(sale);
-        this.set(this.keys.SALES, sales);
+    getSession() { return this.getValue(this.keys.SESSION); }
+    saveSession(session) { this.setValue(this.keys.SESSION, session); }
+    clearSession() { this.removeValue(this.keys.SESSION); }
+
+    getRoles() { return this.get(this.keys.ROLES); }
+    saveRoles(roles) { return this.exclusive([this.keys.ROLES], () => this.set(this.keys.ROLES, roles)); }
+
+    // --- Audit Log ---
+    getAuditLog() { return this.get(this.keys.AUDIT); }
+
+    // Appends are queued, and locked across tabs, so each entry chains onto the hash of the one before it
+    appendAudit(entry) {
+        const next = (this.auditQueue || Promise.resolve()).then(() => this.exclusive([this.keys.AUDIT], async () => {
+            const log = this.getAuditLog();
+            const prev = log[log.length - 1];
+            const record = {
+                seq: prev ? prev.seq + 1 : 1,
+                timestamp: entry.timestamp,
+                userId: entry.userId,
+                userName: entry.userName,
+                action: entry.action,
+                entity: entry.entity,
+                entityId: entry.entityId,
+                before: entry.before,
+                after: entry.after,
+                prevHash: prev ? prev.hash : AUDIT_GENESIS_HASH
+            };
+            record.hash = await sha256Hex(auditPayload(record));
+            log.push(record);
+            await this.set(this.keys.AUDIT, log).catch(() => {}); // Already reported through onWriteError
+            return record;
+        }));
+        this.auditQueue = next.catch(err => console.error('Audit append failed:', err));
+        return next;
+    }
 
-        // Update Bill Number (Monotonic check)
-        const currentLast = parseInt(localStorage.getItem(this.keys.LAST_BILL) || '0');
-        if (sale.billNo > currentLast) {
-            localStorage.setItem(this.keys.LAST_BILL, sale.billNo.toString());
+    // Recomputes every hash and link; returns the first broken entry, if any
+    async verifyAuditLog() {
+        const log = this.getAuditLog();
+        let prevHash = AUDIT_GENESIS_HASH;
+        for (const entry of log) {
+            const hash = await sha256Hex(auditPayload(entry));
+            if (entry.prevHash !== prevHash || entry.hash !== hash) {
+                return { ok: false, count: log.length, brokenAt: entry.seq };
+            }
+            prevHash = entry.hash;
         }
+        return { ok: true, count: log.length, brokenAt: null };
+    }
+
+    getSettings() { return this.get(this.keys.SETTINGS); }
+    saveSettings(settings) { return this.set(this.keys.SETTINGS, settings); }
+
+    // Sale, bill counter and stock are saved together; the promise rejects if storage refused it.
+    // A new bill takes its number here, under the lock, so two tills never issue the same one.
+    // Only the counter, stock and customers are re-read: appending a sale writes just its own row.
+    // A customer first met at this checkout is saved with the bill, unless another till added them meanwhile
+    addSale(sale, newCustomer = null) {
+        return this.exclusive([this.keys.LAST_BILL, this.keys.PRODUCTS, this.keys.JOURNAL, this.keys.CUSTOMERS], () => {
+            if (!sale.billNo) sale.billNo = this.getNextBillNo();
+            const existing = newCustomer && this.findCustomerByPhone(newCustomer.phone);
+            if (existing) {
+                sale.customerId = existing.id;
+                sale.customer = existing.name;
+                newCustomer = null;
+            }
+            // A re-issued bill also closes the edit that took the original off the books
+            const edits = this.getJournal().filter(e => e.type === 'sale.edit' && e.payload.sale.billNo === sale.billNo);
+            return this.journaled('sale', { sale }, () => {
+                if (newCustomer) this.set(this.keys.CUSTOMERS, [...this.getCustomers(), newCustomer]);
+                this.takeSaleStock(sale, `Bill #${sale.billNo}`);
+                const sales = this.get(this.keys.SALES);
+                sales.push(sale);
+                this.set(this.keys.SALES, sales);
+
+                // Update Bill Number (Monotonic check)
+                const currentLast = parseInt(this.getValue(this.keys.LAST_BILL) || '0');
+                if (sale.billNo > currentLast) {
+                    this.setValue(this.keys.LAST_BILL, sale.billNo.toString());
+                }
+
+                if (edits.length) this.endJournal(edits.map(e => e.id));
+            });
+        });
+    }
+
+    // Takes a sale off the books and puts its items back in stock; resolves with the removed sale.
+    // For an edit the journal entry stays open until the bill is re-issued through addSale.
+    // A bill another till has returned items against meanwhile is left alone (conflictError)
+    removeSale(saleId, forEdit = false) {
+        return this.exclusive([this.keys.PRODUCTS, this.keys.JOURNAL, this.keys.SALES, this.keys.RETURNS], () => {
+            const sales = this.get(this.keys.SALES);
+            const sale = sales.find(s => s.id === saleId);
+            if (!sale) return null;
+            if (this.get(this.keys.RETURNS).some(r => r.saleId === saleId)) {
+                throw conflictError('This bill has returns against it and cannot be changed. Use Return instead.');
+            }
+            const apply = () => {
+                this.adjustStock(sale.items, 1, 'sale', `Bill #${sale.billNo} ${forEdit ? 'edited' : 'deleted'}`);
+                this.set(this.keys.SALES, sales.filter(s => s.id !== saleId));
+            };
+            if (!forEdit) return this.journaled('sale.delete', { sale }, apply).then(() => sale);
+            return this.beginJournal('sale.edit', { sale }).then(entry => Promise.resolve().then(() => this.batch(apply)).then(() => sale, async err => {
+                // As in journaled(): an entry that cannot be dropped now is cleared by recover()
+                await this.endJournal([entry.id]).catch(() => {});
+                throw err;
+            }));
+        });
+    }
+
+    // Bill and return items: direction -1 takes them out of stock, 1 puts them back into the
+    // batches they came from. Resolves to the batches moved for each item
+    adjustStock(items, direction, type, ref) {
+        return this.moveStock(type, items.map(item => ({ productId: item.id, qty: direction * item.qty, batches: item.batches })), ref);
+    }
+
+    // Each bill line remembers the batches it was sold from, for returns and deletes
+    takeSaleStock(sale, ref) {
+        const moved = this.adjustStock(sale.items, -1, 'sale', ref);
+        sale.items.forEach((item, i) => {
+            if (moved[i].length) item.batches = moved[i];
+            else delete item.batches;
+        });
+    }
 
-        // Update Stock
+    // --- Stock Ledger ---
+    // The one place stock changes: each line moves a product's stock by a signed qty and appends
+    // an entry with the balance after it. Call inside a batch, under a PRODUCTS lock.
+    // Outgoing stock comes from the batch named by fromBatch, else oldest first; incoming stock opens a new batch when the line
+    // has batch dates ({ mfgDate, expiryDate }), goes back into the batches it lists, or is untracked.
+    // Returns, per line, the batches moved ([{ batchId, qty, mfgDate, expiryDate }])
+    moveStock(type, lines, ref) {
         const products = this.getProducts();
-        sale.items.forEach(item => {
-            const pIndex = products.findIndex(p => p.id === item.id);
-            if (pIndex > -1) {
-                products[pIndex].stock -= item.qty;
+        const ledger = this.getStockLedger();
+        const date = getTimestamp();
+        const moved = lines.map(({ productId, qty, batch, batches, fromBatch }) => {
+            const product = products.find(p => p.id === productId);
+            if (!product || !roundQty(qty)) return [];
+            let batchMoves = [];
+            if (qty < 0) {
+                // A batch that no longer holds enough (sold meanwhile) falls back to oldest first
+                const chosen = fromBatch && (product.batches || []).find(b => b.id === fromBatch && b.qty >= -qty);
+                batchMoves = chosen
+                    ? [{ batchId: chosen.id, qty: roundQty(-qty), mfgDate: chosen.mfgDate, expiryDate: chosen.expiryDate }]
+                    : allocateBatches(product, -qty);
+                batchMoves.forEach(m => {
+                    const b = product.batches.find(b => b.id === m.batchId);
+                    b.qty = roundQty(b.qty - m.qty);
+                });
+                if (product.batches) product.batches = product.batches.filter(b => b.qty > 0);
+            } else if (batch || batches) {
+                batchMoves = batch
+                    ? [{ batchId: generateId(), qty: roundQty(qty), mfgDate: batch.mfgDate, expiryDate: batch.expiryDate || null }]
+                    : batches;
+                product.batches = product.batches || [];
+                batchMoves.forEach(m => {
+                    const b = product.batches.find(b => b.id === m.batchId);
+                    if (b) b.qty = roundQty(b.qty + m.qty);
+                    else product.batches.push({ id: m.batchId, qty: m.qty, mfgDate: m.mfgDate, expiryDate: m.expiryDate, source: type, ref });
+                });
             }
+            product.stock = roundQty(product.stock + qty);
+            const entry = { id: generateId(), productId, productName: product.name, date, type, qty: roundQty(qty), balance: product.stock, ref };
+            if (batchMoves.length) entry.batches = batchMoves;
+            ledger.push(entry);
+            return batchMoves;
         });
         this.set(this.keys.PRODUCTS, products);
+        this.set(this.keys.STOCK_LEDGER, ledger);
+        return moved;
+    }
+
+    // Write-offs leave stock like any other movement; the record keeps the cost for the reports
+    addWastage(entry) {
+        return this.exclusive([this.keys.PRODUCTS], () => this.batch(() => {
+            const [moved] = this.moveStock('wastage', [{ productId: entry.productId, qty: -entry.qty, fromBatch: entry.batchId }],
+                `Wastage - ${WASTAGE_REASONS[entry.reason] || entry.reason}`);
+            if (moved.length) entry.batches = moved;
+            const wastage = this.get(this.keys.WASTAGE);
+            wastage.push(entry);
+            this.set(this.keys.WASTAGE, wastage);
+        }));
+    }
+
+    // An in-house bake opens a batch like a purchase does
+    addBake(bake) {
+        return this.exclusive([this.keys.PRODUCTS], () => this.batch(() => {
+            this.moveStock('bake', [{ productId: bake.productId, qty: bake.qty, batch: bake }], bake.notes ? `Bake - ${bake.notes}` : 'Bake');
+        }));
+    }
+    getStockLedger(productId = null) {
+        const ledger = this.get(this.keys.STOCK_LEDGER);
+        return productId ? ledger.filter(e => e.productId === productId) : ledger;
+    }
+
+    // Products whose stock differs from what their ledger entries add up to
+    reconcileStock() {
+        const totals = {};
+        this.getStockLedger().forEach(e => { totals[e.productId] = roundQty((totals[e.productId] || 0) + e.qty); });
+        return this.getProducts()
+            .map(p => ({ product: p, ledgerStock: totals[p.id] || 0 }))
+            .filter(r => roundQty(r.product.stock) !== r.ledgerStock);
+    }
+
+    // Posts the differences found by reconcileStock() so the ledger agrees with the stock on hand
+    postReconciliation(mismatches) {
+        return this.batch(() => {
+            const ledger = this.getStockLedger();
+            const date = getTimestamp();
+            mismatches.forEach(({ product, ledgerStock }) => {
+                ledger.push({ id: generateId(), productId: product.id, productName: product.name, date, type: 'adjustment', qty: roundQty(product.stock - ledgerStock), balance: roundQty(product.stock), ref: 'Reconciliation' });
+            });
+            this.set(this.keys.STOCK_LEDGER, ledger);
+        });
     }
 
     getNextBillNo() {
-        const last = parseInt(localStorage.getItem(this.keys.LAST_BILL) || '0');
+        const last = parseInt(this.getValue(this.keys.LAST_BILL) || '0');
+        return last + 1;
+    }
+
+    // Returns never touch the original sale; they restock and take the next credit note number.
+    // The bill and its earlier returns are re-checked under the lock, as another till may have got there first
+    addReturn(ret) {
+        return this.exclusive([this.keys.LAST_CREDIT_NOTE, this.keys.PRODUCTS, this.keys.JOURNAL, this.keys.SALES, this.keys.RETURNS], () => {
+            const sale = this.get(this.keys.SALES).find(s => s.id === ret.saleId);
+            if (!sale) throw conflictError('This bill has been deleted or is being edited; nothing was returned.');
+            const earlier = this.get(this.keys.RETURNS).filter(r => r.saleId === ret.saleId);
+            const earlierLines = (index) => earlier.flatMap(r => r.items.filter(i => i.lineIndex === index));
+            const over = ret.items.find(item => {
+                const sold = sale.items[item.lineIndex];
+                const returned = earlierLines(item.lineIndex).reduce((sum, i) => sum + i.qty, 0);
+                return !sold || item.qty > roundQty(sold.qty - returned);
+            });
+            if (over) throw conflictError(`${over.name}: the quantity left on the bill has changed. Reopen the return and try again.`);
+
+            if (!ret.creditNoteNo) ret.creditNoteNo = this.getNextCreditNoteNo();
+            // Returned items go back into the newest batches their bill line was sold from,
+            // less what earlier returns on the same line already put back into each batch
+            ret.items.forEach(item => {
+                const sold = sale.items[item.lineIndex];
+                if (!sold.batches) return;
+                const returned = {};
+                earlierLines(item.lineIndex).forEach(i => (i.batches || []).forEach(m => {
+                    returned[m.batchId] = roundQty((returned[m.batchId] || 0) + m.qty);
+                }));
+                let remaining = item.qty;
+                item.batches = [...sold.batches].reverse().map(m => {
+                    const take = roundQty(Math.max(Math.min(m.qty - (returned[m.batchId] || 0), remaining), 0));
+                    remaining = roundQty(remaining - take);
+                    return { ...m, qty: take };
+                }).filter(m => m.qty > 0);
+            });
+            return this.journaled('return', { ret }, () => {
+                const returns = this.get(this.keys.RETURNS);
+                returns.push(ret);
+                this.set(this.keys.RETURNS, returns);
+
+                const currentLast = parseInt(this.getValue(this.keys.LAST_CREDIT_NOTE) || '0');
+                if (ret.creditNoteNo > currentLast) {
+                    this.setValue(this.keys.LAST_CREDIT_NOTE, ret.creditNoteNo.toString());
+                }
+
+                this.adjustStock(ret.items, 1, 'return', `CN #${ret.creditNoteNo} (Bill #${ret.billNo})`);
+            });
+        });
+    }
+
+    getNextCreditNoteNo() {
+        const last = parseInt(this.getValue(this.keys.LAST_CREDIT_NOTE) || '0');
         return last + 1;
     }
 
     addPurchase(purchase) {
-        const purchases = this.get(this.keys.PURCHASES) || [];
-        purchases.push(purchase);
-        this.set(this.keys.PURCHASES, purchases);
+        return this.exclusive([this.keys.PRODUCTS, this.keys.JOURNAL], () => this.journaled('purchase', { purchase }, () => {
+            // Automatically update stock for purchased items; each line opens a batch
+            const moved = this.moveStock('purchase', purchase.items.map(item => ({
+                productId: item.productId,
+                qty: item.quantity,
+                batch: { mfgDate: item.mfgDate || purchase.date, expiryDate: item.expiryDate }
+            })), `Purchase - ${purchase.supplier}`);
+            purchase.items.forEach((item, i) => { if (moved[i].length) item.batchId = moved[i][0].batchId; });
+            const purchases = this.get(this.keys.PURCHASES) || [];
+            purchases.push(purchase);
+            this.set(this.keys.PURCHASES, purchases);
+
+            const products = this.getProducts();
+            purchase.items.forEach(item => {
+                const product = products.find(p => p.id === item.productId);
+                if (product && item.purchasePrice) product.purchasePrice = item.purchasePrice;
+            });
+            this.set(this.keys.PRODUCTS, products);
+        }));
+    }
 
-        // Automatically update stock for purchased items
-        const products = this.getProducts();
-        purchase.items.forEach(item => {
-            const pIndex = products.findIndex(p => p.id === item.productId);
-            if (pIndex > -1) {
-                products[pIndex].stock += item.quantity;
-                if (item.purchasePrice) {
-                    products[pIndex].purchasePrice = item.purchasePrice;
+    // --- Write-ahead Journal ---
+    // The intent is saved on its own first; the changes and the entry's removal then commit in one
+    // transaction. An entry still on disk at startup marks work that was cut off part-way
+    getJournal() { return this.get(this.keys.JOURNAL); }
+    beginJournal(type, payload) {
+        const entry = { id: generateId(), type, startedAt: getTimestamp(), tabId: this.tabId, payload };
+        return this.set(this.keys.JOURNAL, [...this.getJournal(), entry]).then(() => entry);
+    }
+    // Call inside the batch that applies the journaled changes
+    endJournal(ids) {
+        return this.set(this.keys.JOURNAL, this.getJournal().filter(e => !ids.includes(e.id)));
+    }
+    journaled(type, payload, apply) {
+        // batch() rethrows apply()'s errors synchronously; run it in a then() so they reach the cleanup too
+        return this.beginJournal(type, payload).then(entry => Promise.resolve().then(() => this.batch(() => {
+            apply();
+            this.endJournal([entry.id]);
+        })).catch(async err => {
+            // Nothing was applied, so the intent goes too. If storage refuses that as well (quota full)
+            // the entry stays behind, and recover() clears it at the next start as nothing it names was saved
+            await this.endJournal([entry.id]).catch(() => {});
+            throw err;
+        }));
+    }
+
+    // Startup check of the journal; resolves with [{ entry, outcome: 'completed' | 'rolled_back', message }].
+    // Sales, returns, purchases and deletes only run under the write lock, so any entry left is dead.
+    // An open edit is left alone while its tab is alive or the bill is parked; otherwise the bill goes back
+    recover() {
+        const k = this.keys;
+        return this.exclusive([k.JOURNAL, k.SALES, k.RETURNS, k.PURCHASES, k.PRODUCTS, k.HELD_BILLS], async () => {
+            const journal = this.getJournal();
+            if (!journal.length) return [];
+            const liveLocks = navigator.locks ? (await navigator.locks.query()).held.map(l => l.name) : [];
+            const sales = this.get(k.SALES);
+            const has = (key, id) => this.get(key).some(r => r.id === id);
+            const results = [];
+            const restore = [];
+            journal.forEach(entry => {
+                const p = entry.payload;
+                if (entry.type === 'sale') {
+                    results.push(has(k.SALES, p.sale.id)
+                        ? { entry, outcome: 'completed' }
+                        : { entry, outcome: 'rolled_back', message: `Bill #${p.sale.billNo} (${formatMoney(p.sale.total)}) was interrupted and NOT saved. Re-enter it if the customer paid.` });
+                } else if (entry.type === 'return') {
+                    results.push(has(k.RETURNS, p.ret.id)
+                        ? { entry, outcome: 'completed' }
+                        : { entry, outcome: 'rolled_back', message: `A return against bill #${p.ret.billNo} (${formatMoney(p.ret.total)}) was interrupted and NOT saved.` });
+                } else if (entry.type === 'purchase') {
+                    results.push(has(k.PURCHASES, p.purchase.id)
+                        ? { entry, outcome: 'completed' }
+                        : { entry, outcome: 'rolled_back', message: `A purchase from ${p.purchase.supplier} (${formatMoney(p.purchase.totalAmount)}) was interrupted and NOT saved.` });
+                } else if (entry.type === 'sale.delete') {
+                    results.push(!has(k.SALES, p.sale.id)
+                        ? { entry, outcome: 'completed' }
+                        : { entry, outcome: 'rolled_back', message: `Deleting bill #${p.sale.billNo} was interrupted; the bill is still on record.` });
+                } else if (entry.type === 'sale.edit') {
+                    // Without Web Locks there is no telling a closed tab from an open one; wait out a session instead
+                    const tabAlive = navigator.locks
+                        ? liveLocks.includes(TAB_LOCK_PREFIX + entry.tabId)
+                        : Date.now() - new Date(entry.startedAt).getTime() < DEFAULT_SESSION_HOURS * 3600000;
+                    if (tabAlive) return;
+                    if (this.getHeldBills().some(h => h.editingBillNo === p.sale.billNo)) return;
+                    if (sales.some(s => s.billNo === p.sale.billNo)) {
+                        results.push({ entry, outcome: 'completed' });
+                    } else {
+                        restore.push(p.sale);
+                        results.push({ entry, outcome: 'rolled_back', message: `Bill #${p.sale.billNo} was being edited when the app closed; it has been put back unchanged.` });
+                    }
                 }
-            }
+            });
+            if (!results.length) return [];
+            await this.batch(() => {
+                if (restore.length) {
+                    restore.forEach(sale => this.takeSaleStock(sale, `Bill #${sale.billNo} restored`));
+                    this.set(k.SALES, [...sales, ...restore]);
+                }
+                this.endJournal(results.map(r => r.entry.id));
+            });
+            return results;
         });
-        this.set(this.keys.PRODUCTS, products);
     }
 
     getDailyLog(date) {
@@ -265,8 +1356,8 @@ class UI {
                 ${p.image ? `<img src="${p.image}" class="product-img-display" style="width:100%; height:55px; object-fit:cover; border-radius:4px 4px 0 0; margin-bottom: 2px;">` : ''}
                 <div class="product-name" title="${p.name}">${p.name}</div>
                 <div style="width: 100%; display: flex; justify-content: space-between; align-items: flex-end; padding: 0 4px;">
-                    <span class="product-price" style="font-size: 0.9rem;">₹${p.salesPrice || p.price}/${p.unit || 'pcs'}</span>
-                    <span class="product-stock ${p.stock <= 5 ? 'low-stock' : ''}" style="font-size: 0.75rem;">${p.stock} left</span>
+                    <span class="product-price" style="font-size: 0.9rem;">₹${p.salesPrice}/${p.unit || 'pcs'}</span>
+                    <span class="product-stock ${p.stock <= 5 ? 'low-stock' : ''}" style="font-size: 0.75rem;">${roundQty(p.stock)} left</span>
                 </div>
              `;
             card.onclick = () => addToCartCallback(p);
@@ -274,7 +1365,7 @@ class UI {
         });
     }
 
-    renderCart(cart, updateCallback) {
+    renderCart(cart, updateCallback, discountCallback, qtyCallback) {
         this.cartItems.innerHTML = '';
         if (cart.length === 0) {
             this.cartItems.innerHTML = '<div class="empty-cart-msg">Cart is empty</div>';
@@ -282,17 +1373,20 @@ class UI {
         }
 
         cart.forEach((item, index) => {
+            const lineDiscount = calcDiscountAmount(item.price * item.qty, item.discount);
             const div = document.createElement('div');
             div.className = 'cart-item';
             div.innerHTML = `
                 <div class="item-details">
                     <h4>${item.name}</h4>
-                    <small>₹${item.price}/${item.unit || 'pcs'} x ${item.qty}</small>
+                    <small>₹${item.price}/${item.unit || 'pcs'} x ${formatQty(item.qty, item.unit)} = ${formatMoney(item.price * item.qty)}</small>
+                    ${lineDiscount > 0 ? `<small class="line-discount">Disc ${formatDiscount(item.discount)} (-${formatMoney(lineDiscount)})</small>` : ''}
                 </div>
                 <div class="item-controls">
                     <button class="qty-btn minus" data-idx="${index}">-</button>
-                    <span>${item.qty}</span>
+                    <span class="qty-value" data-idx="${index}" title="Type quantity${isLooseUnit(item.unit) ? ' / weight or amount' : ''}">${roundQty(item.qty)}</span>
                     <button class="qty-btn plus" data-idx="${index}">+</button>
+                    <button class="qty-btn disc" data-idx="${index}" title="Item Discount">%</button>
                     <button class="remove-btn" data-idx="${index}">×</button>
                 </div>
             `;
@@ -305,9 +1399,13 @@ class UI {
                 const idx = parseInt(e.target.dataset.idx);
                 if (e.target.classList.contains('minus')) updateCallback(idx, -1);
                 else if (e.target.classList.contains('plus')) updateCallback(idx, 1);
+                else if (e.target.classList.contains('disc')) discountCallback(idx);
                 else if (e.target.classList.contains('remove-btn')) updateCallback(idx, 0);
             };
         });
+        this.cartItems.querySelectorAll('.qty-value').forEach(span => {
+            span.onclick = () => qtyCallback(parseInt(span.dataset.idx));
+        });
     }
 
     updateTotals(subtotal, tax, total, discount) {
@@ -360,14 +1458,26 @@ class UI {
         document.querySelectorAll('.modal').forEach(m => m.classList.add('hidden'));
     }
 
+    // Open modals stack in page order, so the last visible one is on top
+    getTopModal() {
+        const open = document.querySelectorAll('.modal:not(.hidden)');
+        return open.length ? open[open.length - 1] : null;
+    }
+
+    // Closes one modal; the overlay goes once nothing else is open
+    hideModal(modal) {
+        modal.classList.add('hidden');
+        if (!this.getTopModal()) document.getElementById('modal-overlay').classList.add('hidden');
+    }
+
     // --- UI INVENTORY ---
-    renderInventoryTable(products, editCallback, deleteCallback) {
+    renderInventoryTable(products, editCallback, deleteCallback, lowStockThreshold, cardCallback) {
         const tbody = document.querySelector('#inventory-table tbody');
         if (!tbody) return;
         tbody.innerHTML = '';
 
         // Get low stock threshold from settings
-        const threshold = parseInt(localStorage.getItem('SETTINGS') ? JSON.parse(localStorage.getItem('SETTINGS')).lowStockThreshold : 10) || 10;
+        const threshold = parseInt(lowStockThreshold) || 10;
 
         products.forEach(p => {
             const tr = document.createElement('tr');
@@ -385,23 +1495,32 @@ class UI {
                 stockStatus = '<span style="background: #27ae60; color: white; padding: 2px 8px; border-radius: 3px; font-size: 11px;">✓ OK</span>';
                 stockColor = '#27ae60';
             }
+            const expiry = expiryStatus(p);
+            if (expiry === 'expired') {
+                const expiredQty = roundQty(p.batches.filter(b => isExpired(b)).reduce((sum, b) => sum + b.qty, 0));
+                stockStatus += ` <span style="background: #8e44ad; color: white; padding: 2px 8px; border-radius: 3px; font-size: 11px;">⛔ ${expiredQty} EXPIRED</span>`;
+            } else if (expiry === 'expiring') {
+                stockStatus += ' <span style="background: #d35400; color: white; padding: 2px 8px; border-radius: 3px; font-size: 11px;">⏳ EXPIRES TODAY</span>';
+            }
 
             tr.innerHTML = `
-                <td>${p.name}</td>
+                <td>${p.name}${p.sku || p.barcode ? `<br><small style="color:#666">${[p.sku, p.barcode].filter(Boolean).join(' · ')}</small>` : ''}</td>
                 <td>${p.category}</td>
                 <td>${p.unit || 'pcs'}</td>
-                <td>₹${p.purchasePrice || p.price || 0}</td>
-                <td>₹${p.salesPrice || p.price || 0}</td>
+                <td>₹${p.purchasePrice}</td>
+                <td>₹${p.salesPrice}</td>
                 <td>
                     <span style="font-weight: bold; color: ${stockColor};">${p.stock}</span>
                     ${stockStatus}
                 </td>
                 <td>
+                    <button class="btn btn-secondary btn-sm card-btn">Card</button>
                     <button class="btn btn-secondary btn-sm edit-btn">Edit</button>
                     <button class="btn btn-danger btn-sm delete-btn">Del</button>
                 </td>
             `;
             // Bind events
+            tr.querySelector('.card-btn').onclick = () => cardCallback(p);
             tr.querySelector('.edit-btn').onclick = () => editCallback(p);
             tr.querySelector('.delete-btn').onclick = () => deleteCallback(p.id);
             tbody.appendChild(tr);
@@ -452,37 +1571,116 @@ class UI {
             </div>
             <div class="form-group">
                 <label>Purchase Price (₹)</label>
-                <input type="number" step="0.01" id="prod-purchase-price" value="${isEdit ? (product.purchasePrice || product.price || '') : ''}" required>
+                <input type="number" step="0.01" id="prod-purchase-price" value="${isEdit ? product.purchasePrice : ''}" required>
             </div>
             <div class="form-group">
                 <label>Sales Price (₹)</label>
-                <input type="number" step="0.01" id="prod-sales-price" value="${isEdit ? (product.salesPrice || product.price || '') : ''}" required>
+                <input type="number" step="0.01" id="prod-sales-price" value="${isEdit ? product.salesPrice : ''}" required>
+            </div>
+            <div class="form-group">
+                <label>GST Rate</label>
+                <select id="prod-gst">
+                    <option value="" ${!isEdit || product.gstPercent === undefined || product.gstPercent === '' ? 'selected' : ''}>Shop Default</option>
+                    ${[0, 5, 12, 18, 28].map(r => `<option value="${r}" ${isEdit && product.gstPercent !== undefined && product.gstPercent !== '' && parseFloat(product.gstPercent) === r ? 'selected' : ''}>${r}%</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>HSN Code</label>
+                <input type="text" id="prod-hsn" value="${isEdit ? (product.hsn || '') : ''}" placeholder="e.g. 1905">
+            </div>
+            <div class="form-group">
+                <label>SKU</label>
+                <input type="text" id="prod-sku" value="${isEdit ? (product.sku || '') : ''}" placeholder="e.g. BRD-001">
+            </div>
+            <div class="form-group">
+                <label>Barcode</label>
+                <input type="text" id="prod-barcode" value="${isEdit ? (product.barcode || '') : ''}" placeholder="Scan or type barcode">
+            </div>
+            <div class="form-group">
+                <label>Shelf Life (days)</label>
+                <input type="number" min="0" step="1" id="prod-shelf-life" value="${isEdit && product.shelfLifeDays ? product.shelfLifeDays : ''}" placeholder="Leave blank if it does not expire">
             </div>
              <div class="form-group">
                 <label>Stock Qty</label>
-                <input type="number" id="prod-stock" value="${isEdit ? product.stock : ''}" required>
+                <input type="number" step="any" id="prod-stock" value="${isEdit ? product.stock : ''}" required>
             </div>
         `;
     }
 
-    renderStaffTable(staff, editCallback, deleteCallback) {
-        const tbody = document.querySelector('#staff-table tbody');
+    // --- UI CUSTOMERS ---
+    renderCustomerTable(customers, statsFor, viewCallback, creditCallback, editCallback) {
+        const tbody = document.querySelector('#customers-table tbody');
         if (!tbody) return;
         tbody.innerHTML = '';
 
-        const now = new Date();
-        const currentMonth = now.getMonth();
-        const currentYear = now.getFullYear();
-
-        staff.forEach(s => {
-            if (s.isHidden) return; // Skip hidden users (Super Admin)
+        if (customers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="9" style="text-align:center;">No customers yet. They are added automatically when a phone number is entered at checkout.</td></tr>';
+            return;
+        }
 
+        customers.forEach(c => {
+            const stats = statsFor(c);
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${c.name}</td>
+                <td>${c.phone || '-'}</td>
+                <td>${c.gstin || '-'}</td>
+                <td>${stats.visits}</td>
+                <td>${formatMoney(stats.lifetimeSpend)}</td>
+                <td style="color: ${stats.outstanding > 0 ? 'var(--danger)' : 'inherit'};">${formatMoney(stats.outstanding)}</td>
+                <td>${stats.points}</td>
+                <td>${stats.lastVisit ? new Date(stats.lastVisit).toLocaleDateString() : '-'}</td>
+                <td>
+                    <button class="btn btn-primary btn-sm view-btn">History</button>
+                    <button class="btn btn-sm khata-btn" style="background: #673ab7; color: white;">Khata</button>
+                    <button class="btn btn-secondary btn-sm edit-btn">Edit</button>
+                </td>
+            `;
+            tr.querySelector('.view-btn').onclick = () => viewCallback(c);
+            tr.querySelector('.khata-btn').onclick = () => creditCallback(c);
+            tr.querySelector('.edit-btn').onclick = () => editCallback(c);
+            tbody.appendChild(tr);
+        });
+    }
+
+    renderCustomerForm(customer = null) {
+        const isEdit = !!customer;
+        return `
+            <input type="hidden" id="cust-form-id" value="${isEdit ? customer.id : ''}">
+            <div class="form-group">
+                <label>Name</label>
+                <input type="text" id="cust-form-name" value="${isEdit ? customer.name : ''}" required>
+            </div>
+            <div class="form-group">
+                <label>Phone Number</label>
+                <input type="text" id="cust-form-phone" value="${isEdit ? (customer.phone || '') : ''}" placeholder="e.g. 9876543210" required>
+            </div>
+            <div class="form-group">
+                <label>Address</label>
+                <input type="text" id="cust-form-address" value="${isEdit ? (customer.address || '') : ''}">
+            </div>
+            <div class="form-group">
+                <label>GSTIN (for business customers)</label>
+                <input type="text" id="cust-form-gstin" value="${isEdit ? (customer.gstin || '') : ''}" placeholder="e.g. 33ABCDE1234F1Z5">
+            </div>
+        `;
+    }
+
+    renderStaffTable(staff, editCallback, deleteCallback) {
+        const tbody = document.querySelector('#staff-table tbody');
+        if (!tbody) return;
+        tbody.innerHTML = '';
+
+        const now = new Date();
+        const currentMonth = now.getMonth();
+        const currentYear = now.getFullYear();
+
+        staff.forEach(s => {
             // Calculate attendance for current month
             const attendanceCount = (s.attendanceRecords || []).reduce((total, record) => {
                 const recordDate = new Date(record.date);
                 if (recordDate.getMonth() === currentMonth && recordDate.getFullYear() === currentYear) {
-                    // Handle both old format (present boolean) and new format (status string)
-                    if (record.status === 'present' || (record.present === true && !record.status)) {
+                    if (record.status === 'present') {
                         return total + 1;
                     } else if (record.status === 'halfday') {
                         return total + 0.5;
@@ -505,7 +1703,7 @@ class UI {
             tr.innerHTML = `
                 <td>${s.name}</td>
                 <td>${s.role}</td>
-                <td>****</td>
+                <td>${s.username || '-'}${s.lockedUntil && new Date(s.lockedUntil) > now ? ' 🔒' : ''}</td>
                 <td>₹${s.salary}</td>
                 <td>${attendanceCount} days</td>
                 <td><span class="status-badge ${statusClass}">${statusText}</span></td>
@@ -543,7 +1741,7 @@ class UI {
         return (staff.attendanceRecords || []).reduce((total, record) => {
             const recordDate = new Date(record.date);
             if (recordDate.getMonth() === salaryMonth && recordDate.getFullYear() === salaryYear) {
-                if (record.status === 'present' || (record.present === true && !record.status)) {
+                if (record.status === 'present') {
                     return total + 1;
                 } else if (record.status === 'halfday') {
                     return total + 0.5;
@@ -702,7 +1900,7 @@ class UI {
         if (recs.length === 0) tbody.innerHTML = '<tr><td colspan="4" style="text-align:center">No records</td></tr>';
     }
 
-    renderStaffForm(staff = null) {
+    renderStaffForm(staff = null, roles = []) {
         const isEdit = !!staff;
         return `
             <input type="hidden" id="staff-id" value="${isEdit ? staff.id : ''}">
@@ -713,8 +1911,7 @@ class UI {
              <div class="form-group">
                 <label>Role</label>
                 <select id="staff-role">
-                    <option value="Staff" ${isEdit && staff.role === 'Staff' ? 'selected' : ''}>Staff</option>
-                    <option value="Admin" ${isEdit && staff.role === 'Admin' ? 'selected' : ''}>Admin</option>
+                    ${roles.map(r => `<option value="${r.name}" ${isEdit && staff.role === r.name ? 'selected' : ''}>${r.name}</option>`).join('')}
                 </select>
             </div>
             <div class="form-group">
@@ -723,7 +1920,13 @@ class UI {
             </div>
             <div class="form-group">
                 <label>Password</label>
-                <input type="password" id="staff-password" value="${isEdit ? staff.password : ''}" required>
+                <input type="password" id="staff-password" value="" autocomplete="new-password"
+                    placeholder="${isEdit ? 'Leave blank to keep current password' : 'Temporary password (changed at first login)'}" ${isEdit ? '' : 'required'}>
+            </div>
+            <div class="form-group">
+                <label>Unlock PIN (4-6 digits)</label>
+                <input type="password" id="staff-pin" inputmode="numeric" maxlength="6" autocomplete="off"
+                    placeholder="${isEdit && staff.pinHash ? 'Leave blank to keep current PIN' : 'Optional, for lock screen and quick switch'}">
             </div>
             <div class="form-group">
                 <label>Phone Number</label>
@@ -751,11 +1954,112 @@ class App {
             currentCategory: null,
             searchTerm: '',
             editingBillNo: null,
-            settings: this.store.getSettings()
+            pendingUser: null, // Signed in but still has to replace a temporary password
+            session: null,
+            lastActivity: Date.now(),
+            override: null, // Pending manager approval { action, detail, resolve }
+            billOverrides: [], // Approvals recorded against the bill in progress
+            approvedDiscountPercent: 0,
+            gridIndex: -1, // Keyboard-selected product card
+            cartIndex: -1, // Keyboard-selected cart line
+            billDiscount: { type: 'flat', value: 0 },
+            redeemPoints: 0,
+            settings: {} // Filled once the store has loaded
         };
 
+        this.ready = this.start();
+    }
+
+    // The store loads from IndexedDB asynchronously, so nothing runs until it is ready
+    async start() {
+        // Passwords, PINs and the audit log are hashed with Web Crypto, which browsers only offer on secure origins
+        if (!window.crypto || !window.crypto.subtle) {
+            alert('This POS must be opened over HTTPS or from localhost (http://localhost or 127.0.0.1).\nThe browser blocks the security features it needs on plain http:// network addresses.');
+            return;
+        }
+        try {
+            await this.store.open();
+        } catch (err) {
+            console.error('Storage open failed:', err);
+            alert(`Could not open the local database: ${err.message}\nThe POS cannot run without it.`);
+            return;
+        }
+        this.store.onWriteError = (err) => this.handleStorageError(err);
+        this.store.onRemoteChange = (keys) => this.handleRemoteChange(keys);
+        this.state.settings = this.store.getSettings();
+
+        // Finish or undo anything a crash cut off part-way
+        let recovered = [];
+        try {
+            recovered = await this.store.recover();
+        } catch (err) {
+            console.error('Journal recovery failed:', err);
+        }
+        recovered.forEach(r => this.audit(`journal.${r.outcome}`, 'journal', r.entry.id, r.entry, null));
+        const notes = recovered.filter(r => r.message).map(r => r.message);
+        if (notes.length) {
+            alert(`The last session ended part-way through:\n${notes.join('\n')}`);
+        }
+
+        // Bad records are reported, not dropped; billing keeps working while someone looks into it
+        const problems = this.store.validate();
+        if (problems.length) {
+            console.error('Data validation problems:', problems);
+            alert(`Some saved data does not look right:\n${this.summarizeProblems(problems)}\n\nTake a backup before making changes.`);
+        }
+
         this.initEventListeners();
-        this.checkAuth(); // Initializes app flow
+        await this.checkAuth(); // Initializes app flow
+    }
+
+    // First few validation problems for an alert; callers log the full list
+    summarizeProblems(problems) {
+        const shown = problems.slice(0, 5).join('\n');
+        return problems.length > 5 ? `${shown}\n...and ${problems.length - 5} more` : shown;
+    }
+
+    handleStorageError(err) {
+        console.error('Storage write failed:', err);
+        if (err && err.name === 'QuotaExceededError') {
+            alert('Storage is full - the last change was NOT saved.\n\nTake a backup, then remove old product images or unused data before continuing.');
+        } else {
+            alert(`Saving failed - the last change was NOT saved.\n${err ? err.message : ''}`);
+        }
+    }
+
+    loadSection(target) {
+        if (target === 'inventory') this.loadInventory();
+        else if (target === 'categories') this.loadCategories();
+        else if (target === 'staff') this.loadStaff();
+        else if (target === 'reports') this.loadReports();
+        else if (target === 'customers') this.loadCustomers();
+        else if (target === 'audit') this.loadAuditLog();
+    }
+
+    // Another tab saved these keys: bring what this tab shows up to date
+    handleRemoteChange(keys) {
+        const k = this.store.keys;
+        if (keys.includes(k.SETTINGS)) this.state.settings = this.store.getSettings();
+        if (!this.state.currentUser) return;
+        if (keys.includes(k.STAFF) || keys.includes(k.ROLES)) {
+            const me = this.store.getStaff().find(s => s.id === this.state.currentUser.id);
+            if (me) this.state.currentUser = me;
+            this.applyPermissions();
+        }
+        if (keys.includes(k.PRODUCTS)) this.loadProducts();
+        if (keys.includes(k.LAST_BILL)) this.updateBillNoDisplay();
+        // Lists outside billing re-render only if they are on screen and their data changed
+        const sectionData = {
+            inventory: [k.PRODUCTS, k.PURCHASES],
+            categories: [k.PRODUCTS],
+            staff: [k.STAFF, k.ROLES],
+            reports: [k.SALES, k.RETURNS, k.EXPENSES, k.PURCHASES, k.DAILY_LOGS, k.STOCK_LEDGER, k.WASTAGE],
+            customers: [k.CUSTOMERS, k.SALES, k.RETURNS],
+            audit: [k.AUDIT]
+        };
+        const active = document.querySelector('.nav-item.active');
+        const target = active && active.dataset.target;
+        if (sectionData[target] && sectionData[target].some(key => keys.includes(key))) this.loadSection(target);
     }
 
     initEventListeners() {
@@ -763,10 +2067,7 @@ class App {
         document.querySelectorAll('.nav-item:not(.logout-btn)').forEach(item => {
             item.onclick = () => {
                 this.ui.showSection(item.dataset.target);
-                if (item.dataset.target === 'inventory') this.loadInventory();
-                else if (item.dataset.target === 'categories') this.loadCategories();
-                else if (item.dataset.target === 'staff') this.loadStaff();
-                else if (item.dataset.target === 'reports') this.loadReports();
+                this.loadSection(item.dataset.target);
             };
         });
 
@@ -786,8 +2087,26 @@ class App {
                 this.state.searchTerm = productSearch.value.toLowerCase();
                 this.loadProducts();
             };
+            // Enter on an exact SKU/barcode adds it straight to the cart,
+            // otherwise the highlighted (or only) search result
+            productSearch.onkeydown = (e) => {
+                if (e.key !== 'Enter') return;
+                if (this.addProductByCode(productSearch.value)) {
+                    productSearch.value = '';
+                    this.state.searchTerm = '';
+                    this.loadProducts();
+                    return;
+                }
+                const cards = document.querySelectorAll('#product-grid .product-card');
+                if (this.state.gridIndex < 0 && cards.length === 1) this.state.gridIndex = 0;
+                this.addSelectedProduct();
+            };
         }
 
+        // Keyboard shortcuts and keyboard-wedge scanners on the billing screen
+        document.addEventListener('keydown', (e) => this.handleBillingKey(e));
+        document.getElementById('shortcuts-btn').onclick = () => this.ui.showModal('shortcuts-modal');
+
         // Logout
         document.getElementById('logout-btn').onclick = () => this.logout();
 
@@ -801,6 +2120,25 @@ class App {
         document.getElementById('login-password').onkeyup = (e) => {
             if (e.key === 'Enter') this.handleLogin();
         };
+        document.getElementById('setup-btn').onclick = () => this.completeSetup();
+
+        // Session: any interaction counts as activity; a timer handles idle lock and expiry
+        ['click', 'keydown', 'mousemove', 'touchstart'].forEach(evt => document.addEventListener(evt, () => this.touchSession(), { passive: true }));
+        this.sessionTimer = setInterval(() => this.checkSession(), SESSION_CHECK_INTERVAL);
+        document.getElementById('lock-btn').onclick = () => this.lockScreen();
+        document.getElementById('unlock-btn').onclick = () => this.unlockScreen();
+        document.getElementById('lock-pin').onkeyup = (e) => {
+            if (e.key === 'Enter') this.unlockScreen();
+        };
+        document.getElementById('lock-logout-btn').onclick = () => {
+            if (this.state.cart.length) this.holdBill(`${this.state.currentUser.name}'s bill`);
+            this.endSession();
+        };
+        document.getElementById('change-password-btn').onclick = () => this.changeOwnPassword();
+        document.getElementById('change-password-cancel').onclick = () => {
+            this.state.pendingUser = null;
+            this.showAuthView('login');
+        };
 
         // Cart Actions
         document.getElementById('checkout-btn').onclick = () => {
@@ -808,10 +2146,18 @@ class App {
             this.showCheckoutModal();
         };
 
+        // Park / Resume Bills
+        document.getElementById('hold-btn').onclick = () => this.holdBill();
+        document.getElementById('held-bills-btn').onclick = () => this.showHeldBills();
+
+        // Bill Discount
+        document.getElementById('bill-discount-btn').onclick = () => this.setBillDiscount();
+
         // Modal Close
         document.querySelectorAll('.close-modal').forEach(btn => {
             btn.onclick = () => this.ui.hideModals();
         });
+        document.querySelector('#override-modal .close-modal').onclick = () => this.closeOverride();
 
         // Payment Mode
         document.querySelectorAll('.pay-mode-btn').forEach(btn => {
@@ -819,9 +2165,17 @@ class App {
                 document.querySelectorAll('.pay-mode-btn').forEach(b => b.classList.remove('selected'));
                 btn.classList.add('selected');
 
+                // Toggle Split Tender Inputs
+                document.getElementById('split-payment-group').classList.toggle('hidden', btn.dataset.mode !== 'split');
+                if (btn.dataset.mode === 'split') this.resetSplitAmounts();
+
+                // Change calculator only applies when cash is involved
+                document.getElementById('cash-tender-group').classList.toggle('hidden', btn.dataset.mode === 'upi');
+                this.updateChangeDue();
+
                 // Toggle QR Display
                 const qrDisplay = document.getElementById('upi-qr-display');
-                if (btn.dataset.mode === 'upi' && this.state.settings.upiQr) {
+                if ((btn.dataset.mode === 'upi' || btn.dataset.mode === 'split') && this.state.settings.upiQr) {
                     if (document.getElementById('checkout-qr-img')) document.getElementById('checkout-qr-img').src = this.state.settings.upiQr;
                     if (qrDisplay) qrDisplay.classList.remove('hidden');
                 } else {
@@ -830,6 +2184,33 @@ class App {
             };
         });
 
+        // Split Tender: editing one amount fills the other with the balance
+        document.querySelectorAll('.split-amount').forEach(input => {
+            input.oninput = () => {
+                this.balanceSplitAmounts(input);
+                this.updateChangeDue();
+            };
+        });
+
+        // Cash Tendered: quick-pick notes add up, "Exact" fills the cash due
+        document.getElementById('cash-tendered').oninput = () => this.updateChangeDue();
+        document.querySelectorAll('.tender-quick-btn').forEach(btn => {
+            btn.onclick = () => {
+                const input = document.getElementById('cash-tendered');
+                if (btn.dataset.amount === 'exact') input.value = this.getCashDue();
+                else input.value = (parseFloat(input.value) || 0) + parseFloat(btn.dataset.amount);
+                this.updateChangeDue();
+            };
+        });
+
+        // Inter-state supply switches the bill to IGST
+        document.getElementById('igst-check').onchange = (e) => {
+            this.state.interState = e.target.checked;
+            this.updateCart();
+            this.resetSplitAmounts();
+            this.updateChangeDue();
+        };
+
         // Confirm Payment
         document.getElementById('confirm-pay-btn').onclick = () => this.processCheckout();
 
@@ -844,12 +2225,33 @@ class App {
 
         // Expense Recording
         document.getElementById('add-expense-btn').onclick = () => this.showExpenseModal();
+        document.getElementById('cash-drawer-btn').onclick = () => this.openCashDrawerReport();
+
+        // Manager override PIN dialog
+        document.getElementById('override-approve-btn').onclick = () => this.confirmOverride();
+        document.getElementById('override-cancel-btn').onclick = () => this.closeOverride();
+        document.getElementById('override-pin').onkeyup = (e) => {
+            if (e.key === 'Enter') this.confirmOverride();
+        };
         document.getElementById('save-expense-btn').onclick = () => this.saveExpense();
 
         // Purchase Event Listeners
         document.getElementById('add-purchase-btn').onclick = () => this.showPurchaseModal();
         document.getElementById('add-purchase-item-btn').onclick = () => this.addPurchaseItem();
         document.getElementById('save-purchase-btn').onclick = () => this.savePurchase();
+        document.getElementById('purchase-product').onchange = () => this.suggestExpiry('purchase');
+        document.getElementById('purchase-mfg-date').onchange = () => this.suggestExpiry('purchase');
+        document.getElementById('add-bake-btn').onclick = () => this.showBakeModal();
+        document.getElementById('bake-product').onchange = () => this.suggestExpiry('bake');
+        document.getElementById('bake-mfg-date').onchange = () => this.suggestExpiry('bake');
+        document.getElementById('save-bake-btn').onclick = () => this.saveBake();
+        document.getElementById('add-wastage-btn').onclick = () => this.showWastageModal();
+        document.getElementById('wastage-product').onchange = () => {
+            this.updateWastageBatches();
+            this.updateWastageCost();
+        };
+        document.getElementById('wastage-quantity').oninput = () => this.updateWastageCost();
+        document.getElementById('save-wastage-btn').onclick = () => this.saveWastage();
 
         // Category Event Listeners
         document.getElementById('add-category-btn').onclick = () => this.showCategoryModal();
@@ -872,6 +2274,10 @@ class App {
             this.state.stockFilter = 'out';
             this.loadInventory();
         };
+        document.getElementById('stock-filter-expiry').onclick = () => {
+            this.state.stockFilter = 'expiry';
+            this.loadInventory();
+        };
 
         // Settings Actions (Wrapped for safety)
         try {
@@ -899,58 +2305,216 @@ class App {
 
         // Inventory Actions
         document.getElementById('add-product-btn').onclick = () => this.openProductModal();
+        document.getElementById('stock-card-from').onchange = () => this.renderStockCard();
+        document.getElementById('stock-card-to').onchange = () => this.renderStockCard();
         document.getElementById('form-save-btn').onclick = () => {
             // Determine which save action to take based on visible modal content or ID
             if (document.getElementById('prod-name')) this.saveProduct();
             else if (document.getElementById('staff-name')) this.saveStaff();
+            else if (document.getElementById('cust-form-name')) this.saveCustomer();
         };
 
         document.getElementById('add-staff-btn').onclick = () => this.openStaffModal();
+        document.getElementById('roles-btn').onclick = () => this.openRolesModal();
+        document.getElementById('add-role-btn').onclick = () => this.addRoleRow();
+        document.getElementById('save-roles-btn').onclick = () => this.saveRoles();
+
+        // Customer Actions
+        document.getElementById('add-customer-btn').onclick = () => this.openCustomerModal();
+        document.getElementById('customer-search').oninput = () => this.loadCustomers();
+
+        // Audit Log
+        ['audit-action-filter', 'audit-user-filter', 'audit-from', 'audit-to'].forEach(id => {
+            document.getElementById(id).onchange = () => this.loadAuditLog();
+        });
+        document.getElementById('audit-search').oninput = () => this.loadAuditLog();
+        document.getElementById('audit-verify-btn').onclick = () => this.verifyAuditChain();
+        document.getElementById('cust-phone-input').oninput = () => this.lookupCheckoutCustomer();
+        document.getElementById('redeem-points-input').oninput = () => this.applyRedeemPoints();
+        document.getElementById('save-credit-payment-btn').onclick = () => this.saveCreditRepayment();
+        document.getElementById('print-statement-btn').onclick = () => this.printCustomerStatement();
 
         // Reports Actions
         document.getElementById('report-date').onchange = () => this.loadReports();
         document.getElementById('report-search').oninput = () => this.loadReports();
         document.getElementById('export-excel-btn').onclick = () => this.exportReports();
+        document.getElementById('new-return-btn').onclick = () => this.findReturnBill();
+        document.getElementById('return-refund-mode').onchange = () => this.updateReturnTotal();
+        document.getElementById('confirm-return-btn').onclick = () => this.processReturn();
         const openBalBtn = document.getElementById('opening-balance-btn');
         if (openBalBtn) openBalBtn.onclick = () => this.openOpeningBalanceModal();
         const saveBalBtn = document.getElementById('save-opening-balance-btn');
         if (saveBalBtn) saveBalBtn.onclick = () => this.saveOpeningBalance();
     }
 
-    checkAuth() {
-        // Ideally checking session, for now just show Login
+    async checkAuth() {
+        await this.migrateLegacyPasswords();
+        // A fresh install (or one whose only admin was the removed built-in account) needs an admin first
+        this.showAuthView(this.store.hasAdminLogin() ? 'login' : 'setup');
         document.getElementById('app').classList.remove('hidden');
+
+        // Pick up a session that survived a reload, still locked if it was locked or went idle meanwhile
+        const user = this.store.hasAdminLogin() ? this.restoreSession() : null;
+        if (user) {
+            const wasIdle = this.getIdleLockMinutes() > 0 && Date.now() - this.state.session.lastActivity >= this.getIdleLockMinutes() * 60000;
+            this.enterDashboard(user, true);
+            if (this.state.session.locked || wasIdle) this.lockScreen();
+        }
+    }
+
+    // Older data kept passwords in plain text; hash them and make each user pick a new one
+    async migrateLegacyPasswords() {
+        const legacy = this.store.getStaff().filter(s => s.password);
+        for (const s of legacy) {
+            const credentials = s.username ? await createCredentials(String(s.password)) : {};
+            // An undefined field is not stored, so this drops the plain-text password
+            await this.store.updateStaff(s.id, { password: undefined, ...credentials, mustChangePassword: !!s.username }).catch(() => {});
+        }
+    }
+
+    // Switches the auth screen between the login, first-run setup and forced password change forms
+    showAuthView(view) {
+        ['login', 'setup', 'change-password'].forEach(v => {
+            document.getElementById(`${v}-form`).classList.toggle('hidden', v !== view);
+        });
+        document.querySelectorAll('.auth-error').forEach(el => el.style.display = 'none');
+    }
+
+    showAuthError(id, message) {
+        const el = document.getElementById(id);
+        el.textContent = message;
+        el.style.display = 'block';
+    }
+
+    // Shared rules for every place a password is chosen
+    validateNewPassword(password, confirmPassword) {
+        if (password.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+        if (confirmPassword !== undefined && password !== confirmPassword) return 'Passwords do not match';
+        return null;
     }
 
-    handleLogin() {
+    async completeSetup() {
+        if (this.store.hasAdminLogin()) return this.showAuthView('login');
+        const name = document.getElementById('setup-name').value.trim();
+        const username = document.getElementById('setup-username').value.trim();
+        const password = document.getElementById('setup-password').value;
+        const error = !name || !username
+            ? 'Name and Username are required'
+            : this.validateNewPassword(password, document.getElementById('setup-password-confirm').value);
+        if (error) return this.showAuthError('setup-error', error);
+        // A restored staff record without credentials can be claimed by its username
+        const existing = this.store.findStaffByUsername(username);
+        if (existing && existing.passwordHash) return this.showAuthError('setup-error', 'Username already exists');
+
+        const admin = { salary: 0, employed: true, ...existing, id: existing ? existing.id : generateId(), name, role: 'Admin', username, ...(await createCredentials(password)) };
+        try {
+            await this.store.saveStaff(admin);
+        } catch (err) {
+            return; // Storage error already shown
+        }
+        this.state.currentUser = admin;
+        this.audit('staff.create', 'staff', admin.id, null, admin);
+        this.enterDashboard(admin);
+    }
+
+    async handleLogin() {
         const userIn = document.getElementById('login-username').value;
         const passIn = document.getElementById('login-password').value;
-        const errorMsg = document.getElementById('login-error');
+        document.getElementById('login-password').value = '';
 
-        const staff = this.store.getStaff();
-        // Check username (case-insensitive) and password (case-sensitive)
-        const user = staff.find(u => u.username && u.username.toLowerCase() === userIn.toLowerCase() && u.password === passIn);
+        // Username is case-insensitive, password case-sensitive
+        const user = this.store.findStaffByUsername(userIn);
+        if (user && this.getLockoutMessage(user)) return this.showAuthError('login-error', this.getLockoutMessage(user));
 
-        if (user) {
-            this.state.currentUser = user;
-            document.getElementById('auth-section').classList.add('hidden');
-            document.getElementById('dashboard-container').classList.remove('hidden');
+        if (!user || !(await verifyPassword(user, passIn))) {
+            return this.showAuthError('login-error', user ? await this.recordFailedLogin(user) : 'Invalid Credentials');
+        }
 
-            // Personalize
-            document.getElementById('current-user-name').textContent = user.name;
-            document.getElementById('current-user-role').textContent = user.role;
+        const current = await this.store.updateStaff(user.id, { failedLogins: 0, lockedUntil: null }).catch(() => null);
+        if (!current) return; // Storage error already shown
+        if (current.mustChangePassword) {
+            this.state.pendingUser = current;
+            return this.showAuthView('change-password');
+        }
+        this.enterDashboard(current);
+    }
 
-            errorMsg.style.display = 'none';
-            this.loadDashboard();
-        } else {
-            errorMsg.style.display = 'block';
-            document.getElementById('login-password').value = '';
+    getLockoutMessage(user) {
+        if (!user.lockedUntil || new Date(user.lockedUntil) <= new Date()) return null;
+        const minutes = Math.ceil((new Date(user.lockedUntil) - new Date()) / 60000);
+        return `Account locked after too many failed attempts. Try again in ${minutes} min.`;
+    }
+
+    // Counts a wrong password or PIN on the stored record, so failures on every till add up; resolves to the message to show
+    async recordFailedLogin(user) {
+        const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MINUTES * 60000).toISOString();
+        const updated = await this.store.updateStaff(user.id, s => ((s.failedLogins || 0) + 1 >= MAX_FAILED_LOGINS
+            ? { failedLogins: 0, lockedUntil }
+            : { failedLogins: (s.failedLogins || 0) + 1 })).catch(() => null);
+        if (updated && updated.lockedUntil === lockedUntil) {
+            this.audit('auth.lockout', 'staff', user.id, null, { username: user.username, lockedUntil });
+            return `Too many failed attempts. Account locked for ${LOGIN_LOCKOUT_MINUTES} minutes.`;
+        }
+        return 'Invalid Credentials';
+    }
+
+    async changeOwnPassword() {
+        const user = this.state.pendingUser;
+        if (!user) return this.showAuthView('login');
+        const password = document.getElementById('new-password').value;
+        const error = this.validateNewPassword(password, document.getElementById('new-password-confirm').value);
+        if (error) return this.showAuthError('change-password-error', error);
+        if (await verifyPassword(user, password)) return this.showAuthError('change-password-error', 'Choose a password different from the current one');
+        const pin = document.getElementById('new-pin').value.trim();
+        if (pin && !PIN_PATTERN.test(pin)) return this.showAuthError('change-password-error', 'PIN must be 4 to 6 digits');
+
+        const updated = await this.store.updateStaff(user.id, {
+            ...(await createCredentials(password)),
+            ...(pin ? await createPinCredentials(pin) : {}),
+            mustChangePassword: false
+        }).catch(() => null);
+        if (!updated) return; // Storage error already shown
+        ['new-password', 'new-password-confirm', 'new-pin'].forEach(id => document.getElementById(id).value = '');
+        this.state.pendingUser = null;
+        this.enterDashboard(updated);
+    }
+
+    // resume: reopening a stored session after a reload rather than a fresh sign-in
+    enterDashboard(user, resume = false) {
+        if (!resume) this.startSession(user);
+        this.state.currentUser = user;
+        document.getElementById('auth-section').classList.add('hidden');
+        document.getElementById('dashboard-container').classList.remove('hidden');
+
+        // Personalize
+        document.getElementById('current-user-name').textContent = user.name;
+        document.getElementById('current-user-role').textContent = user.role;
+
+        this.showAuthView('login');
+        this.loadDashboard();
+        this.reviewStockLedger();
+    }
+
+    // Stock on hand is taken as right; the ledger is brought in line only once someone who manages
+    // inventory agrees. Each set of mismatches is raised once, not at every sign-in
+    async reviewStockLedger() {
+        if (!this.can('inventory.manage')) return;
+        const mismatches = this.store.reconcileStock();
+        const signature = mismatches.map(m => `${m.product.id}:${m.product.stock}:${m.ledgerStock}`).join('|');
+        if (!mismatches.length || signature === this.store.getValue(this.store.keys.STOCK_NOTICE)) return;
+        this.store.setValue(this.store.keys.STOCK_NOTICE, signature);
+
+        const lines = mismatches.slice(0, 5).map(m => `${m.product.name}: stock ${m.product.stock}, ledger ${m.ledgerStock}`);
+        if (mismatches.length > 5) lines.push(`...and ${mismatches.length - 5} more`);
+        if (confirm(`Stock does not match the stock ledger for ${mismatches.length} product(s):\n${lines.join('\n')}\n\nPost adjustments so the ledger matches the current stock?`)) {
+            await this.store.postReconciliation(mismatches).catch(() => {});
+            this.audit('stock.reconcile', 'stock', null, null, { products: mismatches.map(m => ({ id: m.product.id, stock: m.product.stock, ledger: m.ledgerStock })) });
         }
     }
 
     logout() {
         // Confirm Backup
-        if (confirm("Do you want to backup data to Excel before logging out?")) {
+        if (this.can('settings.manage') && confirm("Do you want to backup data to Excel before logging out?")) {
             try {
                 this.backupData();
             } catch (e) {
@@ -959,31 +2523,148 @@ class App {
             }
         }
 
+        this.endSession();
+    }
+
+    // Shared by logout and session expiry: back to the login screen without any prompts
+    endSession() {
+        this.store.clearSession();
+        this.state.session = null;
         this.state.currentUser = null;
+        document.getElementById('lock-screen').classList.add('hidden');
         document.getElementById('dashboard-container').classList.add('hidden');
         document.getElementById('auth-section').classList.remove('hidden');
         document.getElementById('login-username').value = '';
         document.getElementById('login-password').value = '';
-        document.getElementById('login-error').style.display = 'none';
+        this.showAuthView('login');
         this.state.editingBillNo = null; // Reset edit state
     }
 
+    // --- Session Methods ---
+    getIdleLockMinutes() {
+        const minutes = this.state.settings.idleLockMinutes;
+        return minutes === undefined ? DEFAULT_IDLE_LOCK_MINUTES : (parseFloat(minutes) || 0); // 0 disables auto-lock
+    }
+
+    startSession(user) {
+        const hours = parseFloat(this.state.settings.sessionHours) || DEFAULT_SESSION_HOURS;
+        const now = Date.now();
+        this.state.session = {
+            id: generateId(),
+            userId: user.id,
+            startedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + hours * 3600000).toISOString(),
+            lastActivity: now,
+            locked: false
+        };
+        this.state.lastActivity = now;
+        this.store.saveSession(this.state.session);
+    }
+
+    // Returns the signed-in user of a stored, unexpired session (or null)
+    restoreSession() {
+        const session = this.store.getSession();
+        if (!session) return null;
+        const user = this.store.getStaff().find(s => s.id === session.userId);
+        if (!user || !user.passwordHash || user.mustChangePassword || new Date(session.expiresAt) <= new Date()) {
+            this.store.clearSession();
+            return null;
+        }
+        this.state.session = session;
+        this.state.lastActivity = session.lastActivity;
+        return user;
+    }
+
+    // Activity is persisted at most every 30s so a reload can tell how long the counter sat idle
+    touchSession() {
+        const session = this.state.session;
+        if (!session || session.locked) return;
+        this.state.lastActivity = Date.now();
+        if (this.state.lastActivity - session.lastActivity > 30000) {
+            session.lastActivity = this.state.lastActivity;
+            this.store.saveSession(session);
+        }
+    }
+
+    checkSession() {
+        const session = this.state.session;
+        if (!this.state.currentUser || !session) return;
+        if (new Date(session.expiresAt) <= new Date()) return this.expireSession();
+        const idleMinutes = this.getIdleLockMinutes();
+        if (idleMinutes > 0 && !session.locked && Date.now() - this.state.lastActivity >= idleMinutes * 60000) {
+            this.lockScreen();
+        }
+    }
+
+    expireSession() {
+        if (this.state.cart.length) this.holdBill(`${this.state.currentUser.name} (session expired)`);
+        this.ui.hideModals();
+        this.endSession();
+        this.showAuthError('login-error', 'Session expired. Please log in again.');
+    }
+
+    lockScreen() {
+        if (!this.state.currentUser || !this.state.session) return;
+        this.state.session.locked = true;
+        this.store.saveSession(this.state.session);
+
+        // Anyone with a login can take over the counter from here
+        const select = document.getElementById('lock-user');
+        select.innerHTML = this.store.getStaff()
+            .filter(s => s.username && s.passwordHash && s.employed !== false)
+            .map(s => `<option value="${s.id}" ${s.id === this.state.currentUser.id ? 'selected' : ''}>${s.name} (${s.role})</option>`)
+            .join('');
+        document.getElementById('lock-user-name').textContent = this.state.currentUser.name;
+        document.getElementById('lock-pin').value = '';
+        document.getElementById('lock-error').style.display = 'none';
+        document.getElementById('lock-screen').classList.remove('hidden');
+        document.getElementById('lock-pin').focus();
+    }
+
+    // PIN if the user has one, otherwise their password
+    async unlockScreen() {
+        const user = this.store.getStaff().find(s => s.id === document.getElementById('lock-user').value);
+        const secret = document.getElementById('lock-pin').value;
+        document.getElementById('lock-pin').value = '';
+        if (!user || !secret) return;
+        if (this.getLockoutMessage(user)) return this.showAuthError('lock-error', this.getLockoutMessage(user));
+        if (user.mustChangePassword) return this.showAuthError('lock-error', 'This account must sign in with its password first.');
+
+        const valid = user.pinHash ? await verifyPin(user, secret) : await verifyPassword(user, secret);
+        if (!valid) return this.showAuthError('lock-error', await this.recordFailedLogin(user));
+        const current = await this.store.updateStaff(user.id, { failedLogins: 0, lockedUntil: null }).catch(() => null);
+        if (!current) return; // Storage error already shown
+
+        if (current.id === this.state.currentUser.id) {
+            this.state.session.locked = false;
+            this.state.lastActivity = this.state.session.lastActivity = Date.now();
+            this.store.saveSession(this.state.session);
+            document.getElementById('lock-screen').classList.add('hidden');
+        } else {
+            this.switchUser(current);
+        }
+    }
+
+    // Hand the counter over without the logout backup prompt; an open bill is parked for its owner
+    switchUser(user) {
+        const previous = this.state.currentUser;
+        if (this.state.cart.length) this.holdBill(`${previous.name}'s bill`);
+        this.ui.hideModals();
+        this.audit('auth.switch_user', 'session', this.state.session.id, { userId: previous.id, name: previous.name }, { userId: user.id, name: user.name });
+        document.getElementById('lock-screen').classList.add('hidden');
+        this.enterDashboard(user);
+    }
+
     loadDashboard() {
         // Load settings to ensure latest GST etc.
         this.state.settings = this.store.getSettings();
 
-        // Role-based navigation visibility
-        const isAdmin = this.state.currentUser.role === 'Admin';
-        document.querySelectorAll('.admin-only').forEach(item => {
-            if (isAdmin) {
-                item.style.display = '';
-            } else {
-                item.style.display = 'none';
-            }
-        });
+        // Permission-based navigation and button visibility
+        this.applyPermissions();
 
-        // If Staff, force to billing section
-        if (!isAdmin) {
+        // Leave any section the current role cannot open
+        const activeNav = document.querySelector('.nav-item.active[data-permission]');
+        if (activeNav && !this.can(activeNav.dataset.permission)) {
             this.ui.showSection('billing');
         }
 
@@ -994,7 +2675,13 @@ class App {
         document.getElementById('shop-gst-percent').value = this.state.settings.defaultGstPercent || 0;
         document.getElementById('print-logo-check').checked = this.state.settings.printLogo !== false; // Default true
         document.getElementById('print-tax-check').checked = this.state.settings.printTax !== false; // Default true
+        document.getElementById('tax-inclusive-check').checked = !!this.state.settings.taxInclusive;
+        document.getElementById('loyalty-earn-rate').value = this.state.settings.loyaltyEarnRate || 0;
+        document.getElementById('loyalty-point-value').value = this.state.settings.loyaltyPointValue || 0;
         document.getElementById('low-stock-threshold').value = this.state.settings.lowStockThreshold || 10;
+        document.getElementById('session-hours').value = this.state.settings.sessionHours || DEFAULT_SESSION_HOURS;
+        document.getElementById('idle-lock-minutes').value = this.getIdleLockMinutes();
+        document.getElementById('expired-stock-action').value = this.state.settings.expiredStockAction || 'warn';
 
         // Load Logo Preview
         if (this.state.settings.logo) {
@@ -1009,9 +2696,7 @@ class App {
             document.getElementById('shop-qr-data').value = this.state.settings.upiQr;
         }
 
-        // Update Bill Number Display
-        const nextBillNo = this.store.getNextBillNo();
-        document.getElementById('bill-no').textContent = `#${nextBillNo.toString().padStart(4, '0')}`;
+        this.updateBillNoDisplay();
 
         // Render Billing (Default)
         this.loadProducts();
@@ -1024,10 +2709,7 @@ class App {
     }
 
     saveSettings() {
-        if (this.state.currentUser.role !== 'Admin') {
-            alert('Only Admin can save settings.');
-            return;
-        }
+        if (!this.requirePermission('settings.manage')) return;
 
         const logoInput = document.getElementById('shop-logo');
         const qrInput = document.getElementById('shop-qr');
@@ -1055,7 +2737,13 @@ class App {
                 upiQr: qrData,
                 printLogo: document.getElementById('print-logo-check').checked,
                 printTax: document.getElementById('print-tax-check').checked,
-                lowStockThreshold: parseInt(document.getElementById('low-stock-threshold').value) || 10
+                taxInclusive: document.getElementById('tax-inclusive-check').checked,
+                loyaltyEarnRate: parseFloat(document.getElementById('loyalty-earn-rate').value) || 0,
+                loyaltyPointValue: parseFloat(document.getElementById('loyalty-point-value').value) || 0,
+                lowStockThreshold: parseInt(document.getElementById('low-stock-threshold').value) || 10,
+                sessionHours: parseFloat(document.getElementById('session-hours').value) || DEFAULT_SESSION_HOURS,
+                idleLockMinutes: Math.max(parseFloat(document.getElementById('idle-lock-minutes').value) || 0, 0),
+                expiredStockAction: document.getElementById('expired-stock-action').value
             };
 
             this.store.saveSettings(newSettings);
@@ -1068,6 +2756,7 @@ class App {
     // backupDataJSON() { ... } // Legacy JSON backup removed in favor of Excel
 
     restoreData(event) {
+        if (!this.requirePermission('settings.manage')) return;
         const file = event.target.files[0];
         if (!file) return;
 
@@ -1079,18 +2768,23 @@ class App {
                 try {
                     const data = JSON.parse(e.target.result);
                     if (data.settings && data.products) {
-                        if (!confirm('This will overwrite current data. Continue?')) return;
-
-                        this.store.saveSettings(data.settings);
-                        this.store.set(this.store.keys.PRODUCTS, data.products);
-                        this.store.set(this.store.keys.STAFF, data.staff || []);
-                        this.store.set(this.store.keys.SALES, data.sales || []);
-                        this.store.set(this.store.keys.EXPENSES, data.expenses || []);
-                        this.store.set(this.store.keys.PURCHASES, data.purchases || []);
-                        if (data.lastBill) localStorage.setItem(this.store.keys.LAST_BILL, data.lastBill);
-
-                        alert('Restore Successful! App will reload.');
-                        location.reload();
+                        const k = this.store.keys;
+                        const restored = {
+                            [k.SETTINGS]: data.settings,
+                            [k.PRODUCTS]: data.products,
+                            [k.STAFF]: data.staff || [],
+                            [k.CUSTOMERS]: data.customers || [],
+                            [k.SALES]: data.sales || [],
+                            [k.EXPENSES]: data.expenses || [],
+                            [k.PURCHASES]: data.purchases || [],
+                            [k.RETURNS]: data.returns || [],
+                            [k.WASTAGE]: data.wastage || []
+                        };
+                        if (data.roles) restored[k.ROLES] = data.roles;
+                        if (data.lastBill) restored[k.LAST_BILL] = data.lastBill;
+                        if (data.lastCreditNote) restored[k.LAST_CREDIT_NOTE] = data.lastCreditNote;
+                        if (data.stockLedger) restored[k.STOCK_LEDGER] = data.stockLedger;
+                        this.applyRestore(restored, parseInt(data.schemaVersion) || 0, file.name);
                     } else {
                         alert('Invalid Backup File');
                     }
@@ -1116,8 +2810,12 @@ class App {
                         const settings = {};
                         settingsArr.forEach(row => {
                             // Convert string bools back if necessary, though usually they are preserved
-                            if (row.Key === 'lastBill') {
+                            if (row.Key === 'schemaVersion') {
+                                restoredData.schemaVersion = parseInt(row.Value) || 0;
+                            } else if (row.Key === 'lastBill') {
                                 restoredData.lastBill = row.Value;
+                            } else if (row.Key === 'lastCreditNote') {
+                                restoredData.lastCreditNote = row.Value;
                             } else {
                                 settings[row.Key] = row.Value;
                             }
@@ -1129,12 +2827,21 @@ class App {
                         if (settings.printLogo === 'FALSE' || settings.printLogo === false) settings.printLogo = false;
                         if (settings.printTax === 'TRUE' || settings.printTax === true) settings.printTax = true;
                         if (settings.printTax === 'FALSE' || settings.printTax === false) settings.printTax = false;
+                        settings.taxInclusive = settings.taxInclusive === 'TRUE' || settings.taxInclusive === true;
+                        if (settings.loyaltyEarnRate) settings.loyaltyEarnRate = parseFloat(settings.loyaltyEarnRate);
+                        if (settings.loyaltyPointValue) settings.loyaltyPointValue = parseFloat(settings.loyaltyPointValue);
 
                         restoredData.settings = settings;
                     }
 
                     // 2. Products
-                    restoredData.products = sheetToJson("Products");
+                    restoredData.products = sheetToJson("Products").map(p => {
+                        if (p.batches_json) {
+                            try { p.batches = JSON.parse(p.batches_json); } catch (e) { console.error("Error parsing product batches", e); }
+                        }
+                        delete p.batches_json;
+                        return p;
+                    });
 
                     // 3. Staff
                     restoredData.staff = sheetToJson("Staff");
@@ -1145,12 +2852,31 @@ class App {
                         if (s.items_json) {
                             try { s.items = JSON.parse(s.items_json); } catch (e) { console.error("Error parsing sales items", e); }
                         }
+                        if (s.billDiscount_json) {
+                            try { s.billDiscount = JSON.parse(s.billDiscount_json); } catch (e) { console.error("Error parsing bill discount", e); }
+                        }
+                        if (s.payments_json) {
+                            try { s.payments = JSON.parse(s.payments_json); } catch (e) { console.error("Error parsing sale payments", e); }
+                        }
+                        if (s.taxLines_json) {
+                            try { s.taxLines = JSON.parse(s.taxLines_json); } catch (e) { console.error("Error parsing tax lines", e); }
+                        }
                         return s;
                     });
 
                     // 5. Expenses
                     restoredData.expenses = sheetToJson("Expenses");
 
+                    // 5b. Customers
+                    restoredData.customers = sheetToJson("Customers").map(c => {
+                        if (c.repayments_json) {
+                            try { c.repayments = JSON.parse(c.repayments_json); } catch (e) { console.error("Error parsing customer repayments", e); }
+                        }
+                        delete c.outstanding; // Derived from sales and repayments
+                        delete c.points; // Derived from sales
+                        return c;
+                    });
+
                     // 6. Purchases
                     const rawPurchases = sheetToJson("Purchases");
                     restoredData.purchases = rawPurchases.map(p => {
@@ -1160,19 +2886,64 @@ class App {
                         return p;
                     });
 
+                    // 7. Returns
+                    restoredData.returns = sheetToJson("Returns").map(r => {
+                        if (r.items_json) {
+                            try { r.items = JSON.parse(r.items_json); } catch (e) { console.error("Error parsing return items", e); }
+                        }
+                        if (r.taxLines_json) {
+                            try { r.taxLines = JSON.parse(r.taxLines_json); } catch (e) { console.error("Error parsing return tax lines", e); }
+                        }
+                        delete r.items_json;
+                        delete r.taxLines_json;
+                        return r;
+                    });
+
+                    // 8. Roles
+                    restoredData.roles = sheetToJson("Roles").map(r => ({
+                        name: r.name,
+                        permissions: r.permissions ? String(r.permissions).split(',') : [],
+                        maxDiscountPercent: parseFloat(r.maxDiscountPercent) || 0
+                    }));
+
+                    // 9. Wastage
+                    restoredData.wastage = sheetToJson("Wastage").map(w => {
+                        if (w.batches_json) {
+                            try { w.batches = JSON.parse(w.batches_json); } catch (e) { console.error("Error parsing wastage batches", e); }
+                        }
+                        delete w.batches_json;
+                        return w;
+                    });
+
+                    // 10. Stock Ledger (older backups have none; the schema migration opens one)
+                    if (wb.Sheets["Stock Ledger"]) {
+                        restoredData.stockLedger = sheetToJson("Stock Ledger").map(e => {
+                            if (e.batches_json) {
+                                try { e.batches = JSON.parse(e.batches_json); } catch (err) { console.error("Error parsing ledger batches", err); }
+                            }
+                            delete e.batches_json;
+                            return e;
+                        });
+                    }
+
                     if (restoredData.products.length > 0) {
-                        if (!confirm('This will overwrite current data. Continue?')) return;
-
-                        if (restoredData.settings) this.store.saveSettings(restoredData.settings);
-                        this.store.set(this.store.keys.PRODUCTS, restoredData.products);
-                        this.store.set(this.store.keys.STAFF, restoredData.staff);
-                        this.store.set(this.store.keys.SALES, restoredData.sales);
-                        this.store.set(this.store.keys.EXPENSES, restoredData.expenses);
-                        this.store.set(this.store.keys.PURCHASES, restoredData.purchases);
-                        if (restoredData.lastBill) localStorage.setItem(this.store.keys.LAST_BILL, restoredData.lastBill);
-
-                        alert('Restore Successful! App will reload.');
-                        location.reload();
+                        const k = this.store.keys;
+                        const restored = {
+                            [k.PRODUCTS]: restoredData.products,
+                            [k.STAFF]: restoredData.staff,
+                            [k.CUSTOMERS]: restoredData.customers,
+                            [k.SALES]: restoredData.sales,
+                            [k.EXPENSES]: restoredData.expenses,
+                            [k.PURCHASES]: restoredData.purchases,
+                            [k.RETURNS]: restoredData.returns,
+                            [k.WASTAGE]: restoredData.wastage
+                        };
+                        if (restoredData.settings) restored[k.SETTINGS] = restoredData.settings;
+                        if (restoredData.roles.length) restored[k.ROLES] = restoredData.roles;
+                        if (restoredData.lastBill) restored[k.LAST_BILL] = restoredData.lastBill;
+                        if (restoredData.lastCreditNote) restored[k.LAST_CREDIT_NOTE] = restoredData.lastCreditNote;
+                        if (restoredData.stockLedger) restored[k.STOCK_LEDGER] = restoredData.stockLedger;
+                        this.applyRestore(restored, restoredData.schemaVersion || 0, file.name);
                     } else {
                         alert('No products found in Excel backup. Please check sheet names.');
                     }
@@ -1188,80 +2959,574 @@ class App {
         }
     }
 
-    factoryReset() {
-        if (!confirm('Are you sure? ALL DATA WILL BE LOST!')) return;
-        localStorage.clear();
-        location.reload();
+    // Both backup formats end up here: old files go through the same migrations as stored data,
+    // are checked, then written in one transaction so a failed restore leaves the old data intact
+    applyRestore(data, fromVersion, fileName) {
+        if (fromVersion > SCHEMA_VERSION) {
+            alert('This backup was made by a newer version of the app. Update the app before restoring it.');
+            return;
+        }
+        migrateData(data, fromVersion);
+        const problems = validateData(data);
+        if (problems.length) {
+            console.error('Backup validation problems:', problems);
+            alert(`Backup not restored - some records are invalid:\n${this.summarizeProblems(problems)}`);
+            return;
+        }
+        if (!confirm('This will overwrite current data. Continue?')) return;
+
+        this.store.batch(() => {
+            Object.entries(data).forEach(([key, value]) => {
+                this.store.set(key, key === this.store.keys.STAFF ? this.mergeLocalCredentials(value) : value);
+            });
+            this.store.setValue(this.store.keys.SCHEMA_VERSION, SCHEMA_VERSION);
+            this.store.set(this.store.keys.JOURNAL, []); // Open entries refer to the data being replaced
+        }).then(() => this.finishRestore(fileName), () => {});
     }
 
-    // --- Inventory Methods ---
-    loadInventory() {
-        let products = this.store.getProducts();
-        const threshold = this.state.settings.lowStockThreshold || 10;
+    // The audit log is never restored from a file, only appended to
+    async finishRestore(fileName) {
+        let note = '';
+        try {
+            await this.audit('data.restore', 'system', null, null, { file: fileName });
+        } catch (err) {
+            note = '\n\nThe restore could not be recorded in the audit log.';
+        }
+        await this.store.flush();
+        alert(`Restore Successful! App will reload.${note}`);
+        location.reload();
+    }
 
-        // Filter by stock status
-        const filter = this.state.stockFilter || 'all';
-        if (filter === 'instock') {
-            products = products.filter(p => p.stock > threshold);
-        } else if (filter === 'low') {
-            products = products.filter(p => p.stock > 0 && p.stock <= threshold);
-        } else if (filter === 'out') {
-            products = products.filter(p => p.stock === 0);
+    async factoryReset() {
+        if (!this.requirePermission('settings.manage')) return;
+        if (!confirm('Are you sure? ALL DATA WILL BE LOST!')) return;
+        try {
+            await this.audit('system.factory_reset', 'system', null, {
+                products: this.store.getProducts().length,
+                sales: this.store.get(this.store.keys.SALES).length,
+                staff: this.store.getStaff().length,
+                customers: this.store.getCustomers().length
+            }, null);
+        } catch (err) {
+            if (!confirm('The reset could not be recorded in the audit log. Reset anyway?')) return;
         }
 
-        this.ui.renderInventoryTable(products,
-            (p) => this.openProductModal(p),
-            (id) => {
-                if (confirm('Delete Product?')) {
-                    this.store.deleteProduct(id);
-                    this.loadInventory();
-                }
-            }
-        );
+        // The audit trail outlives a reset so the reset itself stays on record
+        await this.store.clearAll([this.store.keys.AUDIT]);
+        location.reload();
     }
 
-    openProductModal(product = null) {
-        const title = product ? 'Edit Product' : 'Add Product';
-        document.getElementById('form-modal-title').textContent = title;
-        document.getElementById('form-modal-body').innerHTML = this.ui.renderProductForm(product);
+    // --- Permission Methods ---
+    getRole(name = this.state.currentUser && this.state.currentUser.role) {
+        return this.store.getRoles().find(r => r.name === name);
+    }
 
-        // Populate Datalist
-        const cats = [...new Set(this.store.getProducts().map(p => p.category))];
-        const dl = document.getElementById('cat-list');
-        if (dl) {
-            dl.innerHTML = cats.map(c => `<option value="${c}">`).join('');
-        }
+    // Accepts 'a|b' to mean any of the listed permissions
+    userCan(user, permission) {
+        if (!user) return false;
+        if (user.role === 'Admin') return true; // Admin always holds every permission
+        const role = this.getRole(user.role);
+        return !!role && permission.split('|').some(p => role.permissions.includes(p));
+    }
 
-        this.ui.showModal('form-modal');
+    can(permission) {
+        return this.userCan(this.state.currentUser, permission);
     }
 
-    saveProduct() {
-        const id = document.getElementById('prod-id').value || generateId();
-        const name = document.getElementById('prod-name').value;
-        const category = document.getElementById('prod-category').value;
-        const purchasePrice = parseFloat(document.getElementById('prod-purchase-price').value);
-        const salesPrice = parseFloat(document.getElementById('prod-sales-price').value);
-        const stock = parseInt(document.getElementById('prod-stock').value);
-        const imageInput = document.getElementById('prod-image');
-        const existingImage = document.getElementById('prod-image-hidden').value;
+    requirePermission(permission) {
+        if (this.can(permission)) return true;
+        const labels = permission.split('|').map(p => `"${PERMISSIONS[p]}"`).join(' or ');
+        alert(`Access Denied: ${labels} permission required.`);
+        return false;
+    }
 
-        if (!name || !category || isNaN(purchasePrice) || isNaN(salesPrice) || isNaN(stock)) {
-            alert('Please fill all fields correctly');
-            return;
-        }
+    // Shows or hides every element tagged with data-permission
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.style.display = this.can(el.dataset.permission) ? '' : 'none';
+        });
+    }
 
-        const save = (base64Image) => {
-            const unit = document.getElementById('prod-unit').value || 'pcs'; // Default to pieces
-            const product = { id, name, category, unit, purchasePrice, salesPrice, price: salesPrice, stock, image: base64Image };
-            this.store.saveProduct(product);
-            this.ui.hideModals();
-            this.loadInventory();
-            this.loadDashboard();
-        };
+    getMaxDiscountPercent(user = this.state.currentUser) {
+        if (user && user.role === 'Admin') return 100;
+        const role = user ? this.getRole(user.role) : null;
+        return role ? (parseFloat(role.maxDiscountPercent) || 0) : 0;
+    }
 
-        if (imageInput.files && imageInput.files[0]) {
-            const reader = new FileReader();
-            reader.onload = (e) => save(e.target.result);
+    // Total discount on the bill (item + bill level) as a share of the gross amount
+    getDiscountPercent(cart = this.state.cart, billDiscount = this.state.billDiscount) {
+        const gross = cart.reduce((sum, i) => sum + i.price * i.qty, 0);
+        // Redeemed points are the customer's own, not a discount the cashier gives
+        const { itemDiscount, billDiscountAmount } = this.calculateTotals(cart, billDiscount);
+        return gross > 0 ? ((itemDiscount + billDiscountAmount) / gross) * 100 : 0;
+    }
+
+    // --- Manager Override ---
+    // Resolves true when the user's own role allows the action, an approval record when a
+    // manager signs off with their PIN, or null when there is no approval
+    async authorize(permission, action, detail) {
+        if (this.can(permission)) return true;
+        return this.requestOverride(action, detail, (u) => this.userCan(u, permission));
+    }
+
+    // A discount above the role's ceiling needs a manager whose own ceiling covers it
+    async authorizeDiscount(cart = this.state.cart, billDiscount = this.state.billDiscount) {
+        const percent = this.getDiscountPercent(cart, billDiscount);
+        const limit = this.getMaxDiscountPercent();
+        if (percent <= Math.max(limit, this.state.approvedDiscountPercent) + 0.001) return true;
+        const approval = await this.requestOverride('discount',
+            `${percent.toFixed(1)}% discount on the bill (your limit is ${limit}%)`,
+            (u) => this.getMaxDiscountPercent(u) >= percent - 0.001);
+        if (!approval) return false;
+        this.state.approvedDiscountPercent = percent;
+        this.state.billOverrides.push(approval);
+        return true;
+    }
+
+    // Lines whose net selling price (after discounts, before GST) is under the purchase price
+    async authorizeBelowCost(lines) {
+        if (this.can('sales.below_cost')) return true;
+        const products = this.store.getProducts();
+        const below = lines.filter(l => {
+            const product = products.find(p => p.id === l.id);
+            const cost = product ? parseFloat(product.purchasePrice) || 0 : 0;
+            return cost > 0 && l.qty > 0 && l.taxable / l.qty < cost - 0.005;
+        });
+        if (!below.length) return true;
+
+        const detail = 'Selling below cost: ' + below.map(l => {
+            const product = products.find(p => p.id === l.id);
+            return `${l.name} at ${formatMoney(l.taxable / l.qty)}/${l.unit || 'pcs'} (cost ${formatMoney(product.purchasePrice)})`;
+        }).join(', ');
+        if (this.state.billOverrides.some(o => o.action === 'below_cost' && o.detail === detail)) return true;
+        const approval = await this.requestOverride('below_cost', detail, (u) => this.userCan(u, 'sales.below_cost'));
+        if (!approval) return false;
+        this.state.billOverrides.push(approval);
+        return true;
+    }
+
+    // Sales take the oldest batch first, so a bill sells expired stock whenever that batch is past its date
+    checkExpiredStock(lines) {
+        const products = this.store.getProducts();
+        const qtyByProduct = {};
+        lines.forEach(l => { qtyByProduct[l.id] = roundQty((qtyByProduct[l.id] || 0) + l.qty); });
+        const expired = Object.entries(qtyByProduct).map(([id, qty]) => {
+            const product = products.find(p => p.id === id);
+            const stale = product ? allocateBatches(product, qty).filter(m => isExpired(m)) : [];
+            if (!stale.length) return null;
+            return `${product.name}: ${formatQty(stale.reduce((sum, m) => sum + m.qty, 0), product.unit)} expired on ${stale[0].expiryDate}`;
+        }).filter(Boolean);
+        if (!expired.length) return true;
+
+        if (this.state.settings.expiredStockAction === 'block') {
+            alert(`This bill would sell expired stock:\n${expired.join('\n')}\n\nTake the expired stock out of inventory before billing these items.`);
+            return false;
+        }
+        return confirm(`This bill sells expired stock:\n${expired.join('\n')}\n\nBill it anyway?`);
+    }
+
+    // Opens the PIN dialog; approvers are other staff with an unlock PIN whom canApprove accepts
+    requestOverride(action, detail, canApprove) {
+        const current = this.state.currentUser;
+        const approvers = this.store.getStaff().filter(s =>
+            s.id !== current.id && s.employed !== false && s.pinHash && canApprove(s));
+        if (!approvers.length) {
+            alert(`Manager approval required: ${detail}\n\nNo manager with a PIN can approve this. An admin can set PINs in Staff.`);
+            return Promise.resolve(null);
+        }
+
+        document.getElementById('override-detail').textContent = detail;
+        document.getElementById('override-approver').innerHTML = approvers
+            .map(s => `<option value="${s.id}">${s.name} (${s.role})</option>`).join('');
+        document.getElementById('override-pin').value = '';
+        document.getElementById('override-error').style.display = 'none';
+        this.ui.showModal('override-modal');
+        document.getElementById('override-pin').focus();
+
+        if (this.state.override) this.state.override.resolve(null); // Only one request at a time
+        return new Promise(resolve => { this.state.override = { action, detail, resolve }; });
+    }
+
+    async confirmOverride() {
+        const request = this.state.override;
+        if (!request) return;
+        const approver = this.store.getStaff().find(s => s.id === document.getElementById('override-approver').value);
+        const pin = document.getElementById('override-pin').value;
+        document.getElementById('override-pin').value = '';
+        if (!approver || !pin) return;
+        if (this.getLockoutMessage(approver)) return this.showAuthError('override-error', this.getLockoutMessage(approver));
+        if (!(await verifyPin(approver, pin))) return this.showAuthError('override-error', await this.recordFailedLogin(approver));
+        this.store.updateStaff(approver.id, { failedLogins: 0, lockedUntil: null });
+
+        const approval = {
+            action: request.action,
+            detail: request.detail,
+            approvedById: approver.id,
+            approvedByName: approver.name,
+            requestedById: this.state.currentUser.id,
+            requestedByName: this.state.currentUser.name,
+            at: getTimestamp()
+        };
+        this.audit('override.approve', 'override', null, null, approval);
+        this.closeOverride(approval);
+    }
+
+    // Closes just the PIN dialog so a checkout underneath stays open
+    closeOverride(result = null) {
+        const request = this.state.override;
+        this.state.override = null;
+        this.ui.hideModal(document.getElementById('override-modal'));
+        if (request) request.resolve(result);
+    }
+
+    openRolesModal() {
+        if (!this.requirePermission('staff.manage')) return;
+        this.renderRolesTable(this.store.getRoles());
+        this.ui.showModal('roles-modal');
+    }
+
+    renderRolesTable(roles) {
+        const permKeys = Object.keys(PERMISSIONS);
+        const table = document.getElementById('roles-table');
+        const staff = this.store.getStaff();
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th>Role</th>
+                ${permKeys.map(k => `<th style="font-size: 0.75rem;" title="${PERMISSIONS[k]}">${PERMISSIONS[k]}</th>`).join('')}
+                <th style="font-size: 0.75rem;">Max Discount %</th>
+                <th></th>
+            </tr>`;
+        table.querySelector('tbody').innerHTML = roles.map(r => {
+            const locked = r.name === 'Admin';
+            const inUse = staff.some(s => s.role === r.name);
+            return `
+            <tr data-role="${r.name}">
+                <td><strong>${r.name}</strong></td>
+                ${permKeys.map(k => `<td style="text-align:center;"><input type="checkbox" class="role-perm" data-perm="${k}" ${locked || r.permissions.includes(k) ? 'checked' : ''} ${locked ? 'disabled' : ''}></td>`).join('')}
+                <td><input type="number" class="role-max-discount" min="0" max="100" value="${locked ? 100 : (r.maxDiscountPercent || 0)}" ${locked ? 'disabled' : ''} style="width: 60px;"></td>
+                <td>${locked || inUse ? '' : `<button class="btn btn-danger btn-sm" onclick="app.removeRoleRow('${r.name}')">×</button>`}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    // Reads the matrix back from the modal
+    collectRoles() {
+        return [...document.querySelectorAll('#roles-table tbody tr')].map(tr => ({
+            name: tr.dataset.role,
+            permissions: tr.dataset.role === 'Admin'
+                ? Object.keys(PERMISSIONS)
+                : [...tr.querySelectorAll('.role-perm:checked')].map(cb => cb.dataset.perm),
+            maxDiscountPercent: tr.dataset.role === 'Admin'
+                ? 100
+                : Math.min(Math.max(parseFloat(tr.querySelector('.role-max-discount').value) || 0, 0), 100)
+        }));
+    }
+
+    addRoleRow() {
+        const name = (prompt('New role name:') || '').trim();
+        if (!name) return;
+        const roles = this.collectRoles();
+        if (roles.some(r => r.name.toLowerCase() === name.toLowerCase())) return alert('Role already exists');
+        roles.push({ name, permissions: [], maxDiscountPercent: 0 });
+        this.renderRolesTable(roles);
+    }
+
+    removeRoleRow(name) {
+        this.renderRolesTable(this.collectRoles().filter(r => r.name !== name));
+    }
+
+    async saveRoles() {
+        if (!this.requirePermission('staff.manage')) return;
+        const before = this.store.getRoles();
+        const roles = this.collectRoles();
+        try {
+            await this.store.saveRoles(roles);
+        } catch (err) {
+            return; // Storage error already shown; the roles modal stays open
+        }
+        this.audit('roles.update', 'roles', null, { roles: before }, { roles });
+        this.ui.hideModals();
+        this.loadDashboard();
+        alert('Roles saved');
+    }
+
+    // --- Audit Methods ---
+    // Records who did what, with before/after snapshots. Failures are logged by the audit queue, so
+    // callers may leave the returned promise alone; those that await it get the rejection
+    audit(action, entity, entityId, before, after) {
+        const user = this.state.currentUser;
+        return this.store.handled(this.store.appendAudit({
+            timestamp: getTimestamp(),
+            userId: user ? user.id : null,
+            userName: user ? user.name : 'System',
+            action,
+            entity,
+            entityId: entityId || null,
+            before: this.auditSnapshot(before),
+            after: this.auditSnapshot(after)
+        }));
+    }
+
+    // Images bloat the log and credentials must never land in it
+    auditSnapshot(record) {
+        if (!record || typeof record !== 'object') return record === undefined ? null : record;
+        const { image, ...rest } = stripCredentials(record);
+        return JSON.parse(JSON.stringify(rest));
+    }
+
+    loadAuditLog() {
+        if (!this.requirePermission('audit.view')) return;
+        const log = this.store.getAuditLog();
+        const actionFilter = document.getElementById('audit-action-filter');
+        const userFilter = document.getElementById('audit-user-filter');
+
+        // Rebuild filter options, keeping the current choice
+        const fillSelect = (select, values, allLabel) => {
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(v => `<option value="${v}">${v}</option>`).join('');
+            select.value = values.includes(current) ? current : '';
+        };
+        fillSelect(actionFilter, [...new Set(log.map(e => e.action))].sort(), 'All Actions');
+        fillSelect(userFilter, [...new Set(log.map(e => e.userName))].sort(), 'All Users');
+
+        const from = document.getElementById('audit-from').value;
+        const to = document.getElementById('audit-to').value;
+        const search = document.getElementById('audit-search').value.toLowerCase();
+        const entries = log.filter(e =>
+            (!actionFilter.value || e.action === actionFilter.value) &&
+            (!userFilter.value || e.userName === userFilter.value) &&
+            (!from || e.timestamp.slice(0, 10) >= from) &&
+            (!to || e.timestamp.slice(0, 10) <= to) &&
+            (!search || JSON.stringify([e.entityId, e.before, e.after]).toLowerCase().includes(search))
+        ).reverse(); // Newest first
+
+        const tbody = document.querySelector('#audit-table tbody');
+        tbody.innerHTML = '';
+        entries.forEach(e => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${e.seq}</td>
+                <td>${new Date(e.timestamp).toLocaleString()}</td>
+                <td>${e.userName}</td>
+                <td><span style="background: #e3f2fd; padding: 2px 8px; border-radius: 4px; font-size: 0.9em;">${e.action}</span></td>
+                <td>${e.entity}${e.entityId ? ` <small style="color:#888">${e.entityId}</small>` : ''}</td>
+                <td>${this.describeAuditChange(e)}</td>
+                <td><code title="${e.hash}">${e.hash.slice(0, 10)}…</code></td>
+            `;
+            tbody.appendChild(tr);
+        });
+        if (entries.length === 0) tbody.innerHTML = '<tr><td colspan="7" style="text-align:center;">No audit entries</td></tr>';
+    }
+
+    describeAuditChange(entry) {
+        const { before, after } = entry;
+        let summary = '';
+        if (before && after && typeof before === 'object' && typeof after === 'object') {
+            // Only the fields that changed
+            summary = Object.keys({ ...before, ...after })
+                .filter(k => JSON.stringify(before[k]) !== JSON.stringify(after[k]))
+                .map(k => `${k}: ${JSON.stringify(before[k])} → ${JSON.stringify(after[k])}`)
+                .join('<br>');
+        } else if (before && typeof before === 'object') {
+            summary = before.name || (before.billNo ? `Bill #${before.billNo}` : '');
+        }
+        return `${summary}
+            <details><summary style="cursor:pointer; color:#888;">Snapshot</summary>
+                <pre style="white-space: pre-wrap; font-size: 0.75rem; max-width: 400px;">Before: ${JSON.stringify(before, null, 1)}\nAfter: ${JSON.stringify(after, null, 1)}</pre>
+            </details>`;
+    }
+
+    async verifyAuditChain() {
+        if (!this.requirePermission('audit.view')) return;
+        const result = await this.store.verifyAuditLog();
+        const el = document.getElementById('audit-verify-result');
+        el.textContent = result.ok
+            ? `✓ Chain intact (${result.count} entries)`
+            : `⚠ Chain broken at entry #${result.brokenAt} - log has been altered`;
+        el.style.color = result.ok ? 'var(--success, #27ae60)' : 'var(--danger, #e74c3c)';
+    }
+
+    // --- Inventory Methods ---
+    loadInventory() {
+        if (!this.requirePermission('inventory.manage|purchases.record')) return;
+        let products = this.store.getProducts();
+        const threshold = this.state.settings.lowStockThreshold || 10;
+
+        // Filter by stock status
+        const filter = this.state.stockFilter || 'all';
+        if (filter === 'instock') {
+            products = products.filter(p => p.stock > threshold);
+        } else if (filter === 'low') {
+            products = products.filter(p => p.stock > 0 && p.stock <= threshold);
+        } else if (filter === 'out') {
+            products = products.filter(p => p.stock === 0);
+        } else if (filter === 'expiry') {
+            products = products.filter(p => expiryStatus(p));
+        }
+
+        this.ui.renderInventoryTable(products,
+            (p) => this.openProductModal(p),
+            (id) => {
+                if (this.requirePermission('inventory.manage') && confirm('Delete Product?')) {
+                    this.audit('product.delete', 'product', id, this.store.getProducts().find(p => p.id === id), null);
+                    this.store.deleteProduct(id).then(() => this.loadInventory(), () => {}); // Storage error already shown
+                }
+            },
+            threshold,
+            (p) => this.showStockCard(p.id)
+        );
+    }
+
+    // Opening, in, out and closing stock for a product over a period, with the movements in between
+    getStockCard(productId, from, to) {
+        const ledger = this.store.getStockLedger(productId).sort((a, b) => a.date.localeCompare(b.date));
+        const before = ledger.filter(e => e.date.slice(0, 10) < from);
+        const entries = ledger.filter(e => e.date.slice(0, 10) >= from && e.date.slice(0, 10) <= to);
+        const opening = roundQty(before.reduce((sum, e) => sum + e.qty, 0));
+        const stockIn = roundQty(entries.filter(e => e.qty > 0).reduce((sum, e) => sum + e.qty, 0));
+        const stockOut = roundQty(entries.filter(e => e.qty < 0).reduce((sum, e) => sum - e.qty, 0));
+        return { opening, stockIn, stockOut, closing: roundQty(opening + stockIn - stockOut), entries };
+    }
+
+    showStockCard(productId) {
+        if (!this.requirePermission('inventory.manage|purchases.record')) return;
+        const product = this.store.getProducts().find(p => p.id === productId);
+        if (!product) return;
+        document.getElementById('stock-card-product-id').value = product.id;
+        document.getElementById('stock-card-product-name').textContent = product.name;
+        document.getElementById('stock-card-from').value = `${getTodayDate().slice(0, 8)}01`;
+        document.getElementById('stock-card-to').value = getTodayDate();
+        this.renderStockCard();
+        this.ui.showModal('stock-card-modal');
+    }
+
+    renderStockCard() {
+        const productId = document.getElementById('stock-card-product-id').value;
+        const from = document.getElementById('stock-card-from').value;
+        const to = document.getElementById('stock-card-to').value;
+        const product = this.store.getProducts().find(p => p.id === productId);
+        if (!product || !from || !to) return;
+        const unit = product.unit || 'pcs';
+        const card = this.getStockCard(productId, from, to);
+
+        document.getElementById('stock-card-summary').innerHTML = `
+            <div><small>Opening</small><br><strong>${formatQty(card.opening, unit)}</strong></div>
+            <div><small>In</small><br><strong style="color: #27ae60;">${formatQty(card.stockIn, unit)}</strong></div>
+            <div><small>Out</small><br><strong style="color: #e74c3c;">${formatQty(card.stockOut, unit)}</strong></div>
+            <div><small>Closing</small><br><strong>${formatQty(card.closing, unit)}</strong></div>
+        `;
+
+        // The whole ledger should add up to the stock on hand
+        const ledgerStock = this.getStockCard(productId, '', '9999-12-31').closing;
+        document.getElementById('stock-card-warning').textContent = ledgerStock !== roundQty(product.stock)
+            ? `⚠ Stock on hand is ${formatQty(product.stock, unit)} but the ledger adds up to ${formatQty(ledgerStock, unit)}.`
+            : '';
+
+        const today = getTodayDate();
+        const batches = [...(product.batches || [])].sort(batchOrder);
+        const untracked = untrackedStock(product);
+        document.getElementById('stock-card-batches').innerHTML = batches.length === 0
+            ? '<em style="color: #999;">No dated batches</em>'
+            : `<table class="data-table">
+                <thead><tr><th>Made</th><th>Expires</th><th>From</th><th>Qty</th></tr></thead>
+                <tbody>
+                    ${untracked ? `<tr><td colspan="3">Untracked (sold first)</td><td>${formatQty(untracked, unit)}</td></tr>` : ''}
+                    ${batches.map(b => `
+                        <tr style="${isExpired(b, today) ? 'color: #e74c3c;' : ''}">
+                            <td>${b.mfgDate || '-'}</td>
+                            <td>${b.expiryDate || '-'}${isExpired(b, today) ? ' (expired)' : b.expiryDate === today ? ' (today)' : ''}</td>
+                            <td>${b.ref || STOCK_MOVEMENT_LABELS[b.source] || ''}</td>
+                            <td>${formatQty(b.qty, unit)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>`;
+
+        const tbody = document.querySelector('#stock-card-table tbody');
+        let balance = card.opening;
+        tbody.innerHTML = card.entries.map(e => {
+            balance = roundQty(balance + e.qty);
+            return `
+                <tr>
+                    <td>${new Date(e.date).toLocaleString()}</td>
+                    <td>${STOCK_MOVEMENT_LABELS[e.type] || e.type}</td>
+                    <td>${e.ref || ''}</td>
+                    <td style="color: #27ae60;">${e.qty > 0 ? formatQty(e.qty, unit) : '-'}</td>
+                    <td style="color: #e74c3c;">${e.qty < 0 ? formatQty(-e.qty, unit) : '-'}</td>
+                    <td>${formatQty(balance, unit)}</td>
+                </tr>
+            `;
+        }).join('');
+        if (card.entries.length === 0) tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">No stock movements in this period</td></tr>';
+    }
+
+    openProductModal(product = null) {
+        if (!this.requirePermission('inventory.manage')) return;
+        const title = product ? 'Edit Product' : 'Add Product';
+        document.getElementById('form-modal-title').textContent = title;
+        document.getElementById('form-modal-body').innerHTML = this.ui.renderProductForm(product);
+
+        // Populate Datalist
+        const cats = [...new Set(this.store.getProducts().map(p => p.category))];
+        const dl = document.getElementById('cat-list');
+        if (dl) {
+            dl.innerHTML = cats.map(c => `<option value="${c}">`).join('');
+        }
+
+        this.ui.showModal('form-modal');
+    }
+
+    saveProduct() {
+        if (!this.requirePermission('inventory.manage')) return;
+        const id = document.getElementById('prod-id').value || generateId();
+        const name = document.getElementById('prod-name').value;
+        const category = document.getElementById('prod-category').value;
+        const purchasePrice = parseFloat(document.getElementById('prod-purchase-price').value);
+        const salesPrice = parseFloat(document.getElementById('prod-sales-price').value);
+        const stockInput = document.getElementById('prod-stock');
+        const stock = roundQty(parseFloat(stockInput.value));
+        const imageInput = document.getElementById('prod-image');
+        const existingImage = document.getElementById('prod-image-hidden').value;
+
+        if (!name || !category || isNaN(purchasePrice) || isNaN(salesPrice) || isNaN(parseFloat(document.getElementById('prod-stock').value))) {
+            alert('Please fill all fields correctly');
+            return;
+        }
+
+        // A scan must resolve to exactly one product
+        const sku = document.getElementById('prod-sku').value.trim();
+        const barcode = document.getElementById('prod-barcode').value.trim();
+        const duplicate = this.store.getProducts().find(p => p.id !== id && (
+            (barcode && (p.barcode || '').toString() === barcode) ||
+            (sku && (p.sku || '').toString().toLowerCase() === sku.toLowerCase())));
+        if (duplicate) {
+            alert(`SKU/Barcode already used by "${duplicate.name}"`);
+            return;
+        }
+
+        const save = (base64Image) => {
+            const unit = document.getElementById('prod-unit').value || 'pcs'; // Default to pieces
+            const gstValue = document.getElementById('prod-gst').value;
+            const gstPercent = gstValue === '' ? undefined : parseFloat(gstValue);
+            const hsn = document.getElementById('prod-hsn').value.trim();
+            const shelfLifeDays = parseInt(document.getElementById('prod-shelf-life').value) || undefined;
+            const product = { id, name, category, unit, purchasePrice, salesPrice, price: salesPrice, gstPercent, hsn, sku, barcode, shelfLifeDays, stock, image: base64Image };
+            const existing = this.store.getProducts().find(p => p.id === id);
+            // An untouched stock field is left alone, so sales made while the form was open still count
+            const counted = !existing || stockInput.value !== stockInput.defaultValue;
+            if (existing && counted && roundQty(existing.stock) !== stock) {
+                this.audit('product.stock_edit', 'product', id, existing, product);
+            }
+            this.store.saveProduct(product, counted ? stock : null);
+            this.ui.hideModals();
+            this.loadInventory();
+            this.loadDashboard();
+        };
+
+        if (imageInput.files && imageInput.files[0]) {
+            const reader = new FileReader();
+            reader.onload = (e) => save(e.target.result);
             reader.readAsDataURL(imageInput.files[0]);
         } else {
             save(existingImage);
@@ -1269,55 +3534,343 @@ class App {
     }
 
     // --- Billing Methods ---
+    // Single source of truth for bill totals: item discounts, then bill discount, then GST
+    calculateTotals(cart = this.state.cart, billDiscount = this.state.billDiscount, interState = this.state.interState, redeemPoints = this.state.redeemPoints) {
+        const lines = cart.map(item => {
+            const gross = item.price * item.qty;
+            const discountAmount = calcDiscountAmount(gross, item.discount);
+            return { ...item, discountAmount, net: gross - discountAmount };
+        });
+
+        const subtotal = lines.reduce((sum, l) => sum + (l.price * l.qty), 0);
+        const itemDiscount = lines.reduce((sum, l) => sum + l.discountAmount, 0);
+        const billDiscountAmount = calcDiscountAmount(subtotal - itemDiscount, billDiscount);
+
+        // Redeemed loyalty points act as a further bill-level discount, and are part of the discount total
+        const pointValue = parseFloat(this.state.settings.loyaltyPointValue) || 0;
+        const pointsDiscount = Math.min((redeemPoints || 0) * pointValue, subtotal - itemDiscount - billDiscountAmount);
+        const discount = itemDiscount + billDiscountAmount + pointsDiscount;
+
+        // Spread the bill discount across lines so each GST slab is taxed on its own share
+        const taxInclusive = !!this.state.settings.taxInclusive;
+        const netBeforeBill = subtotal - itemDiscount;
+        lines.forEach(l => {
+            l.billDiscountShare = netBeforeBill > 0 ? ((billDiscountAmount + pointsDiscount) * l.net) / netBeforeBill : 0;
+            l.gstRate = this.getGstRate(l);
+            const amount = l.net - l.billDiscountShare;
+            if (taxInclusive) {
+                // MRP-style prices already contain GST, so back-calculate it
+                l.lineTotal = amount;
+                l.taxable = amount / (1 + l.gstRate / 100);
+                l.tax = amount - l.taxable;
+            } else {
+                l.taxable = amount;
+                l.tax = (l.taxable * l.gstRate) / 100;
+                l.lineTotal = l.taxable + l.tax;
+            }
+        });
+
+        // Per-rate tax lines (CGST/SGST for intra-state, IGST for inter-state supply)
+        const taxMap = {};
+        lines.forEach(l => {
+            if (!taxMap[l.gstRate]) taxMap[l.gstRate] = { rate: l.gstRate, taxable: 0, tax: 0 };
+            taxMap[l.gstRate].taxable += l.taxable;
+            taxMap[l.gstRate].tax += l.tax;
+        });
+        const taxLines = Object.values(taxMap)
+            .sort((a, b) => a.rate - b.rate)
+            .map(t => ({
+                ...t,
+                cgst: interState ? 0 : t.tax / 2,
+                sgst: interState ? 0 : t.tax / 2,
+                igst: interState ? t.tax : 0
+            }));
+
+        const tax = taxLines.reduce((sum, t) => sum + t.tax, 0);
+        const total = Math.round(lines.reduce((sum, l) => sum + l.lineTotal, 0));
+        const gstRates = taxLines.map(t => t.rate).filter(r => r > 0);
+
+        // Inclusive mode reports the pre-tax subtotal so that subtotal - discount + tax = total
+        const reportedSubtotal = taxInclusive
+            ? taxLines.reduce((sum, t) => sum + t.taxable, 0) + discount
+            : subtotal;
+
+        return { lines, subtotal: reportedSubtotal, itemDiscount, billDiscountAmount, discount, pointsDiscount, taxLines, gstRates, tax, total, taxInclusive };
+    }
+
+    // Product-level GST slab; falls back to the shop default for products without one
+    getGstRate(item) {
+        const rate = parseFloat(item.gstPercent);
+        if (item.gstPercent !== undefined && item.gstPercent !== '' && !isNaN(rate)) return rate;
+        return parseFloat(this.state.settings.defaultGstPercent) || 0;
+    }
+
+    async setBillDiscount() {
+        if (this.state.cart.length === 0) return alert('Cart is empty!');
+        const current = formatDiscount(this.state.billDiscount).replace('₹', '');
+        const input = prompt('Bill discount (e.g. 10% or 50 for flat ₹). Leave empty to remove:', current);
+        if (input === null) return;
+
+        const discount = parseDiscountInput(input);
+        if (!discount) return alert('Invalid discount');
+        if (!(await this.authorizeDiscount(this.state.cart, discount))) return;
+        this.state.billDiscount = discount;
+        this.updateCart();
+    }
+
+    async setItemDiscount(index) {
+        const item = this.state.cart[index];
+        if (!item) return;
+        const current = formatDiscount(item.discount).replace('₹', '');
+        const input = prompt(`Discount for ${item.name} (e.g. 10% or 20 for flat ₹). Leave empty to remove:`, current);
+        if (input === null) return;
+
+        const discount = parseDiscountInput(input);
+        if (!discount) return alert('Invalid discount');
+        const cart = this.state.cart.map((i, idx) => idx === index ? { ...i, discount } : i);
+        if (!(await this.authorizeDiscount(cart))) return;
+        item.discount = discount.value ? discount : undefined;
+        this.updateCart();
+    }
+
     showCheckoutModal() {
         // Recalculate Total
-        const subtotal = this.state.cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
-        const gstRate = parseFloat(this.state.settings.defaultGstPercent) || 0;
-        const tax = (subtotal * gstRate) / 100;
-        const total = Math.round(subtotal + tax);
+        const { total } = this.calculateTotals();
 
         document.getElementById('checkout-total').textContent = formatMoney(total);
+        document.getElementById('igst-check').checked = !!this.state.interState;
+        this.resetSplitAmounts();
+        document.getElementById('cash-tendered').value = '';
+        this.updateChangeDue();
+        this.lookupCheckoutCustomer();
         this.ui.showModal('checkout-modal');
     }
 
-    processCheckout() {
+    // Points earned on a bill at the configured rate (points per ₹100)
+    calculatePointsEarned(total) {
+        const rate = parseFloat(this.state.settings.loyaltyEarnRate) || 0;
+        return Math.floor((total * rate) / 100);
+    }
+
+    applyRedeemPoints() {
+        const customer = this.store.findCustomerByPhone(document.getElementById('cust-phone-input').value);
+        const available = customer ? this.getCustomerStats(customer).points : 0;
+        let points = parseInt(document.getElementById('redeem-points-input').value) || 0;
+        if (points > available) {
+            points = available;
+            document.getElementById('redeem-points-input').value = available;
+        }
+        this.state.redeemPoints = Math.max(points, 0);
+        this.updateCart();
+        this.resetSplitAmounts();
+        this.updateChangeDue();
+    }
+
+    // Cash portion of the bill for the selected payment mode
+    getCashDue() {
+        const mode = document.querySelector('.pay-mode-btn.selected').dataset.mode;
+        if (mode === 'cash') return this.calculateTotals().total;
+        if (mode === 'split') return parseFloat(document.getElementById('split-cash-amount').value) || 0;
+        return 0;
+    }
+
+    updateChangeDue() {
+        const tendered = parseFloat(document.getElementById('cash-tendered').value);
+        const changeEl = document.getElementById('change-due');
+        if (isNaN(tendered)) {
+            changeEl.textContent = formatMoney(0);
+            changeEl.style.color = '';
+            return;
+        }
+        const change = tendered - this.getCashDue();
+        changeEl.textContent = change < 0 ? `Short by ${formatMoney(-change)}` : formatMoney(change);
+        changeEl.style.color = change < 0 ? 'var(--danger)' : 'var(--primary)';
+    }
+
+    resetSplitAmounts() {
+        const { total } = this.calculateTotals();
+        document.querySelectorAll('.split-amount').forEach(input => {
+            input.value = input.dataset.mode === 'cash' ? total : 0;
+        });
+    }
+
+    // Puts the remaining balance on cash (or UPI when cash is the amount being edited)
+    balanceSplitAmounts(changedInput) {
+        const { total } = this.calculateTotals();
+        const inputs = [...document.querySelectorAll('.split-amount')];
+        const target = inputs.find(i => i !== changedInput && i.dataset.mode === 'cash')
+            || inputs.find(i => i !== changedInput && i.dataset.mode === 'upi');
+        if (!target) return;
+        const others = inputs.filter(i => i !== target).reduce((sum, i) => sum + (parseFloat(i.value) || 0), 0);
+        target.value = Math.max(total - others, 0).toFixed(2);
+    }
+
+    // Builds the tender lines for the selected payment mode; returns null if they don't add up
+    collectPayments(total) {
         const mode = document.querySelector('.pay-mode-btn.selected').dataset.mode;
-        const customer = document.getElementById('cust-name-input').value || 'Guest';
+        if (mode !== 'split') return [{ mode, amount: total }];
+
+        const entered = [...document.querySelectorAll('.split-amount')]
+            .map(input => ({ mode: input.dataset.mode, amount: parseFloat(input.value) || 0 }));
+        if (entered.some(p => p.amount < 0)) {
+            alert('Split amounts cannot be negative');
+            return null;
+        }
+        const payments = entered.filter(p => p.amount > 0);
+        const paid = payments.reduce((sum, p) => sum + p.amount, 0);
+        if (Math.abs(paid - total) > 0.009) {
+            alert(`Split amounts (${formatMoney(paid)}) must add up to the bill total (${formatMoney(total)})`);
+            return null;
+        }
+        return payments;
+    }
+
+    // Fills the customer name when a known phone number is typed at checkout
+    lookupCheckoutCustomer() {
+        const phone = document.getElementById('cust-phone-input').value;
+        const info = document.getElementById('cust-lookup-info');
+        const redeemGroup = document.getElementById('redeem-points-group');
+        const customer = this.store.findCustomerByPhone(phone);
+        const points = customer ? this.getCustomerStats(customer).points : 0;
+        if (customer) {
+            const stats = this.getCustomerStats(customer);
+            document.getElementById('cust-name-input').value = customer.name;
+            info.textContent = `Returning customer · ${stats.visits} visits · ${formatMoney(stats.lifetimeSpend)} spent`
+                + (stats.outstanding > 0 ? ` · Khata due ${formatMoney(stats.outstanding)}` : '');
+        } else {
+            info.textContent = phone.replace(/\D/g, '').length >= 10 ? 'New customer - will be saved with this bill' : '';
+        }
+
+        // Loyalty redemption is only offered when the customer has points and redemption has a value
+        const canRedeem = points > 0 && (parseFloat(this.state.settings.loyaltyPointValue) || 0) > 0;
+        redeemGroup.classList.toggle('hidden', !canRedeem);
+        document.getElementById('redeem-points-available').textContent = `${points} pts available (₹${this.state.settings.loyaltyPointValue || 0}/pt)`;
+        if (!canRedeem && this.state.redeemPoints) {
+            this.state.redeemPoints = 0;
+            this.updateCart();
+            this.resetSplitAmounts();
+        }
+        if (!canRedeem) document.getElementById('redeem-points-input').value = '';
+    }
+
+    // Looks the customer up by phone; one not on file yet comes back unsaved, flagged isNew, for addSale to save with the bill
+    resolveCheckoutCustomer() {
+        const phone = document.getElementById('cust-phone-input').value.trim();
+        const name = document.getElementById('cust-name-input').value.trim();
+        if (!phone) return null;
+
+        const customer = this.store.findCustomerByPhone(phone);
+        if (customer) return { customer, isNew: false };
+        return { customer: { id: generateId(), name: name || 'Customer', phone, address: '', gstin: '', createdAt: getTimestamp() }, isNew: true };
+    }
+
+    async processCheckout() {
+        const selectedMode = document.querySelector('.pay-mode-btn.selected').dataset.mode;
+        if (selectedMode === 'credit' && !document.getElementById('cust-phone-input').value.trim()) {
+            alert('Enter the customer phone number to give credit (Khata)');
+            return;
+        }
+        const resolved = this.resolveCheckoutCustomer();
+        const linkedCustomer = resolved ? resolved.customer : null;
+        const customer = linkedCustomer ? linkedCustomer.name : (document.getElementById('cust-name-input').value || 'Guest');
+
+        const totals = this.calculateTotals();
+        const { subtotal, discount, tax, total } = totals;
+
+        // Loyalty: redemption needs a customer with enough points; earning needs a customer at all
+        const pointsRedeemed = linkedCustomer ? (this.state.redeemPoints || 0) : 0;
+        if (pointsRedeemed > 0 && pointsRedeemed > this.getCustomerStats(linkedCustomer).points) {
+            alert('Customer does not have enough loyalty points');
+            return;
+        }
+        const pointsEarned = linkedCustomer ? this.calculatePointsEarned(total) : 0;
+
+        if (!(await this.authorizeDiscount()) || !(await this.authorizeBelowCost(totals.lines))) return;
+        if (!this.checkExpiredStock(totals.lines)) return;
+
+        const payments = this.collectPayments(total);
+        if (!payments) return;
+        const mode = payments.length === 1 ? payments[0].mode : 'split';
 
-        const subtotal = this.state.cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
-        const gstRate = parseFloat(this.state.settings.defaultGstPercent) || 0;
-        const tax = (subtotal * gstRate) / 100;
-        const total = Math.round(subtotal + tax);
+        // Khata sales must be booked against a known customer
+        if (payments.some(p => p.mode === 'credit') && !linkedCustomer) {
+            alert('Enter the customer phone number to give credit (Khata)');
+            return;
+        }
+
+        // Optional cash tendered; must cover the cash portion when entered
+        const cashDue = payments.reduce((sum, p) => sum + (p.mode === 'cash' ? p.amount : 0), 0);
+        const tenderedInput = parseFloat(document.getElementById('cash-tendered').value);
+        const tendered = cashDue > 0 && !isNaN(tenderedInput) ? tenderedInput : null;
+        if (tendered !== null && tendered < cashDue) {
+            alert(`Cash tendered (${formatMoney(tendered)}) is less than the cash due (${formatMoney(cashDue)})`);
+            return;
+        }
 
         const sale = {
             id: generateId(),
-            billNo: this.state.editingBillNo ? this.state.editingBillNo : this.store.getNextBillNo(),
+            billNo: this.state.editingBillNo || null, // A new bill is numbered by addSale under the cross-tab lock
             date: getTimestamp(),
-            items: [...this.state.cart], // Clone
+            items: totals.lines.map(({ net, ...line }) => line), // Clone with per-line discount and tax
             subtotal,
+            itemDiscount: totals.itemDiscount,
+            billDiscount: { ...this.state.billDiscount, amount: totals.billDiscountAmount },
+            discount,
+            pointsRedeemed,
+            pointsDiscount: totals.pointsDiscount,
+            pointsEarned,
+            interState: !!this.state.interState,
+            taxInclusive: totals.taxInclusive,
+            taxLines: totals.taxLines,
             tax,
             total,
             mode,
+            payments,
+            tendered,
+            change: tendered !== null ? tendered - cashDue : null,
             customer,
-            customer,
+            customerId: linkedCustomer ? linkedCustomer.id : null,
+            customerPhone: linkedCustomer ? linkedCustomer.phone : '',
             staffId: this.state.currentUser.id,
-            staffName: this.state.currentUser.name
+            staffName: this.state.currentUser.name,
+            sessionId: this.state.session ? this.state.session.id : null,
+            overrides: [...this.state.billOverrides] // Manager approvals given while billing
         };
 
-        this.store.addSale(sale);
+        try {
+            await this.store.addSale(sale, resolved && resolved.isNew ? linkedCustomer : null);
+        } catch (err) {
+            return; // Storage error already shown; the cart stays so the bill is not lost
+        }
+        if (this.state.editingBillNo) this.audit('sale.edit_complete', 'sale', sale.id, null, sale);
 
         // Generate Receipt
         this.generateReceipt(sale);
 
         // Reset
         this.state.cart = [];
+        this.state.billDiscount = { type: 'flat', value: 0 };
+        this.state.interState = false;
+        this.state.redeemPoints = 0;
         this.state.editingBillNo = null;
+        this.resetBillOverrides();
+        document.getElementById('redeem-points-input').value = '';
+        document.getElementById('cust-name-input').value = '';
+        document.getElementById('cust-phone-input').value = '';
+        document.getElementById('cust-lookup-info').textContent = '';
         this.updateCart();
         this.ui.hideModals();
         this.loadDashboard(); // Update stock in grid
     }
 
-    generateReceipt(sale) {
+    // Next bill number preview; the number is only fixed when the sale is saved
+    updateBillNoDisplay() {
+        const nextBillNo = this.store.getNextBillNo();
+        document.getElementById('bill-no').textContent = `#${nextBillNo.toString().padStart(4, '0')}`;
+    }
+
+    // Shop header shared by receipts and customer statements
+    buildReceiptHeader() {
         const showLogo = this.state.settings.printLogo !== false;
         const showTax = this.state.settings.printTax !== false;
         const hasLogo = this.state.settings.logo && showLogo;
@@ -1346,173 +3899,839 @@ class App {
                     ${gstLinePlain}
                 </div>`;
         }
+        return headerHtml;
+    }
+
+    printReceipt(receiptHtml) {
+        document.getElementById('receipt-container').innerHTML = receiptHtml;
+
+        // Show receipt for printing
+        const container = document.getElementById('receipt-container');
+        container.classList.remove('hidden');
+
+        window.print();
+
+        // Hide again after print
+        setTimeout(() => {
+            container.classList.add('hidden');
+            container.innerHTML = '';
+        }, 500);
+    }
+
+    generateReceipt(sale) {
+        const showTax = this.state.settings.printTax !== false;
+        const headerHtml = this.buildReceiptHeader();
+
+        // Customer Info
+        const customerRecord = sale.customerId ? this.store.getCustomers().find(c => c.id === sale.customerId) : null;
+        const customerHtml = sale.customer && sale.customer !== 'Guest' ?
+            `<div class="receipt-customer">
+                <div>Customer: <b>${sale.customer}</b>${sale.customerPhone ? ` (${sale.customerPhone})` : ''}</div>
+                ${customerRecord && customerRecord.gstin ? `<div>GSTIN: ${customerRecord.gstin}</div>` : ''}
+            </div>` : '';
+
+        // Table Rows
+        const rowsHtml = sale.items.map(i => `
+            <tr>
+                <td>
+                    <div class="font-bold">${i.name}</div>
+                    ${i.unit ? `<div style="font-size: 10px; color: #444;">@ ${i.price}/${i.unit}</div>` : ''}
+                    ${showTax && i.hsn ? `<div style="font-size: 10px; color: #444;">HSN ${i.hsn} @ ${i.gstRate}%</div>` : ''}
+                    ${i.discountAmount > 0 ? `<div style="font-size: 10px; color: #444;">Disc ${formatDiscount(i.discount)} -${i.discountAmount.toFixed(2)}</div>` : ''}
+                </td>
+                <td class="text-center">${formatQty(i.qty, i.unit)}</td>
+                <td class="text-right">${(i.price * i.qty).toFixed(2)}</td>
+            </tr>
+        `).join('');
+
+        // GST breakup per slab (older bills only carry the single default-rate tax)
+        const taxLines = sale.taxLines || [{ rate: parseFloat(this.state.settings.defaultGstPercent) || 0, taxable: sale.subtotal - (sale.discount || 0), tax: sale.tax, cgst: sale.tax / 2, sgst: sale.tax / 2, igst: 0 }];
+        const taxBreakupHtml = showTax && sale.tax > 0 ? `
+                <table class="receipt-table" style="font-size: 11px;">
+                    <thead>
+                        <tr>
+                            <th>GST%</th>
+                            <th class="text-right">Taxable</th>
+                            ${sale.interState ? '<th class="text-right">IGST</th>' : '<th class="text-right">CGST</th><th class="text-right">SGST</th>'}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${taxLines.filter(t => t.tax > 0).map(t => `
+                        <tr>
+                            <td>${t.rate}%</td>
+                            <td class="text-right">${t.taxable.toFixed(2)}</td>
+                            ${sale.interState ? `<td class="text-right">${t.igst.toFixed(2)}</td>` : `<td class="text-right">${t.cgst.toFixed(2)}</td><td class="text-right">${t.sgst.toFixed(2)}</td>`}
+                        </tr>`).join('')}
+                    </tbody>
+                </table>` : '';
+
+        const receiptHtml = `
+            <div class="receipt-content">
+                ${headerHtml}
+                
+                <div class="receipt-info">
+                    <div>Bill No: <b>#${sale.billNo}</b></div>
+                    <div class="text-right">${new Date(sale.date).toLocaleDateString()} ${new Date(sale.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                    <div style="font-size: 11px; margin-top: 2px;">Billed By: <b>${sale.staffName || (this.store.getStaff().find(s => s.id === sale.staffId)?.name) || 'Staff'}</b></div>
+                </div>
+
+                ${customerHtml}
+
+                <table class="receipt-table">
+                    <thead>
+                        <tr>
+                            <th width="50%">Item</th>
+                            <th width="20%" class="text-center">Qty</th>
+                            <th width="30%" class="text-right">Amt</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rowsHtml}
+                    </tbody>
+                </table>
+
+                <div class="receipt-totals">
+                    ${showTax ? `
+                    <div class="totals-row">
+                        <span>Subtotal</span>
+                        <span>${sale.subtotal.toFixed(2)}</span>
+                    </div>` : ''}
+
+                    ${sale.discount - (sale.pointsDiscount || 0) > 0.005 ? `
+                    <div class="totals-row">
+                        <span>Discount${sale.billDiscount && sale.billDiscount.type === 'percent' && sale.billDiscount.value ? ` (${sale.billDiscount.value}% on bill)` : ''}</span>
+                        <span>-${(sale.discount - (sale.pointsDiscount || 0)).toFixed(2)}</span>
+                    </div>` : ''}
+
+                    ${sale.pointsDiscount > 0 ? `
+                    <div class="totals-row">
+                        <span>Points Redeemed (${sale.pointsRedeemed} pts)</span>
+                        <span>-${sale.pointsDiscount.toFixed(2)}</span>
+                    </div>` : ''}
+
+                    ${showTax ? `
+                    <div class="totals-row">
+                        <span>${sale.interState ? 'IGST' : 'GST (CGST+SGST)'}${sale.taxInclusive ? ' (Incl.)' : ''}</span>
+                        <span>${sale.tax.toFixed(2)}</span>
+                    </div>` : ''}
+                    
+                    <div class="totals-row final">
+                        <span>TOTAL</span>
+                        <span>${sale.total.toFixed(2)}</span>
+                    </div>
+                    ${getSalePayments(sale).length > 1 ? getSalePayments(sale).map(p => `
+                    <div class="totals-row">
+                        <span>Paid (${PAYMENT_MODE_LABELS[p.mode] || p.mode})</span>
+                        <span>${p.amount.toFixed(2)}</span>
+                    </div>`).join('') : ''}
+                    ${getPaymentAmount(sale, 'credit') > 0 && customerRecord ? `
+                    <div class="totals-row">
+                        <span>Khata Balance</span>
+                        <span>${this.getCustomerStats(customerRecord).outstanding.toFixed(2)}</span>
+                    </div>` : ''}
+                    ${sale.tendered !== null && sale.tendered !== undefined ? `
+                    <div class="totals-row">
+                        <span>Cash Tendered</span>
+                        <span>${sale.tendered.toFixed(2)}</span>
+                    </div>
+                    <div class="totals-row">
+                        <span>Change</span>
+                        <span>${(sale.change || 0).toFixed(2)}</span>
+                    </div>` : ''}
+                </div>
+
+                ${taxBreakupHtml}
+
+                ${customerRecord && (sale.pointsEarned || sale.pointsRedeemed) ? `
+                <div class="receipt-totals">
+                    <div class="totals-row">
+                        <span>Points Earned</span>
+                        <span>${sale.pointsEarned || 0}</span>
+                    </div>
+                    <div class="totals-row">
+                        <span>Points Balance</span>
+                        <span>${this.getCustomerStats(customerRecord).points}</span>
+                    </div>
+                </div>` : ''}
+
+                <div class="receipt-footer">
+                    <p>*** Thank You ***</p>
+                </div>
+            </div>
+        `;
+
+        this.printReceipt(receiptHtml);
+    }
+
+    loadProducts() {
+        let products = this.store.getProducts();
+
+        // Filter by category
+        if (this.state.currentCategory) {
+            products = products.filter(p => p.category.toLowerCase() === this.state.currentCategory);
+        }
+
+        // Filter by search term
+        if (this.state.searchTerm) {
+            products = products.filter(p => p.name.toLowerCase().includes(this.state.searchTerm) ||
+                (p.sku || '').toString().toLowerCase().includes(this.state.searchTerm) ||
+                (p.barcode || '').toString().includes(this.state.searchTerm));
+        }
+
+        this.ui.renderProducts(products, (p) => this.addToCart(p));
+        this.state.gridIndex = -1;
+        this.highlightKeyboardSelection();
+    }
+
+    addProductByCode(code) {
+        const product = this.store.findProductByCode(code);
+        if (product) this.addToCart(product);
+        return !!product;
+    }
+
+    // Returns true when the key completed a scan
+    handleScannerKey(e) {
+        // Not while typing into a field
+        const target = e.target;
+        const typing = target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        if (typing) {
+            this.scanBuffer = '';
+            return false;
+        }
+
+        const now = Date.now();
+        // Humans rarely type faster than ~50ms per key; scanners do
+        if (now - (this.lastScanKeyTime || 0) > 50) this.scanBuffer = '';
+        this.lastScanKeyTime = now;
+
+        if (e.key === 'Enter') {
+            const code = this.scanBuffer;
+            this.scanBuffer = '';
+            if (code.length >= 3) {
+                e.preventDefault();
+                if (!this.addProductByCode(code)) alert(`No product found for code: ${code}`);
+                return true;
+            }
+        } else if (e.key.length === 1) {
+            this.scanBuffer = (this.scanBuffer || '') + e.key;
+        }
+        return false;
+    }
+
+    // --- Keyboard Shortcuts ---
+    // F1 help, F2 search, arrows move through products, Enter adds, Alt+Up/Down pick a cart line,
+    // +/- change its quantity, Delete removes it, F9 checkout; in checkout Alt+1-4 pick the mode, Ctrl+Enter confirms
+    handleBillingKey(e) {
+        if (document.getElementById('dashboard-container').classList.contains('hidden')) return;
+        if (this.state.session && this.state.session.locked) return;
+
+        // The PIN dialog can sit on top of checkout; it handles its own Enter
+        if (this.state.override) {
+            if (e.key === 'Escape') this.closeOverride();
+            return;
+        }
+
+        const openModal = this.ui.getTopModal();
+        if (openModal) {
+            if (e.key === 'Escape') this.ui.hideModal(openModal);
+            else if (openModal.id === 'checkout-modal') this.handleCheckoutKey(e);
+            return;
+        }
+        if (document.getElementById('billing-section').classList.contains('hidden')) return;
+        if (this.handleScannerKey(e)) return;
+
+        const target = e.target;
+        const productSearch = document.getElementById('product-search');
+        const inSearch = target === productSearch;
+        const typing = target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+        // Function keys work everywhere on the billing screen
+        if (e.key === 'F1' || (e.key === '?' && !typing)) {
+            e.preventDefault();
+            this.ui.showModal('shortcuts-modal');
+            return;
+        }
+        if (e.key === 'F2') {
+            e.preventDefault();
+            productSearch.focus();
+            productSearch.select();
+            return;
+        }
+        if (e.key === 'F9') {
+            e.preventDefault();
+            document.getElementById('checkout-btn').click();
+            return;
+        }
+        if (typing && !inSearch) return;
+
+        if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            this.moveCartSelection(e.key === 'ArrowUp' ? -1 : 1);
+            return;
+        }
+
+        // In the search box only Up/Down leave the text cursor alone
+        const arrows = inSearch ? ['ArrowUp', 'ArrowDown'] : ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+        if (arrows.includes(e.key)) {
+            e.preventDefault();
+            this.moveGridSelection(e.key);
+            return;
+        }
+        if (inSearch) return; // Enter in search is handled by its own listener
+
+        if (e.key === 'Enter' && this.state.gridIndex >= 0) {
+            e.preventDefault();
+            this.addSelectedProduct();
+        } else if (['+', '-', 'Delete'].includes(e.key) && this.state.cart.length > 0) {
+            e.preventDefault();
+            if (this.state.cartIndex < 0) this.state.cartIndex = this.state.cart.length - 1;
+            this.updateCartItem(this.state.cartIndex, e.key === '+' ? 1 : e.key === '-' ? -1 : 0);
+        } else if (e.key === 'Escape') {
+            this.state.gridIndex = -1;
+            this.state.cartIndex = -1;
+            this.highlightKeyboardSelection();
+        }
+    }
+
+    handleCheckoutKey(e) {
+        const modes = ['cash', 'upi', 'credit', 'split'];
+        if (e.altKey && ['1', '2', '3', '4'].includes(e.key)) {
+            e.preventDefault();
+            document.querySelector(`.pay-mode-btn[data-mode="${modes[parseInt(e.key) - 1]}"]`).click();
+        } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey || !['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].includes(e.target.tagName))) {
+            // Plain Enter in a phone, tendered or split field must not complete the sale half-filled
+            e.preventDefault();
+            this.processCheckout();
+        }
+    }
+
+    moveGridSelection(key) {
+        const cards = [...document.querySelectorAll('#product-grid .product-card')];
+        if (cards.length === 0) return;
+
+        // Cards sharing the first card's row give the current column count
+        const columns = cards.filter(c => c.offsetTop === cards[0].offsetTop).length || 1;
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -columns, ArrowDown: columns };
+        const current = this.state.gridIndex;
+        const next = current < 0 ? 0 : current + moves[key];
+        this.state.gridIndex = Math.min(Math.max(next, 0), cards.length - 1);
+        this.highlightKeyboardSelection();
+    }
+
+    moveCartSelection(direction) {
+        if (this.state.cart.length === 0) return;
+        const current = this.state.cartIndex < 0 ? this.state.cart.length : this.state.cartIndex;
+        this.state.cartIndex = Math.min(Math.max(current + direction, 0), this.state.cart.length - 1);
+        this.highlightKeyboardSelection();
+    }
+
+    addSelectedProduct() {
+        const card = document.querySelectorAll('#product-grid .product-card')[this.state.gridIndex];
+        if (card) card.click();
+    }
+
+    highlightKeyboardSelection() {
+        document.querySelectorAll('#product-grid .product-card').forEach((c, i) => {
+            c.classList.toggle('kb-selected', i === this.state.gridIndex);
+            if (i === this.state.gridIndex && c.scrollIntoView) c.scrollIntoView({ block: 'nearest' });
+        });
+        document.querySelectorAll('#cart-items .cart-item').forEach((c, i) => {
+            c.classList.toggle('kb-selected', i === this.state.cartIndex);
+        });
+    }
+
+    addToCart(product) {
+        // Loose items are weighed, so ask for the weight (or rupee amount) being added
+        let qty = 1;
+        if (isLooseUnit(product.unit)) {
+            qty = this.promptQuantity(product, 1);
+            if (qty === null) return;
+        }
+
+        // Stock Check
+        const currentInCart = this.state.cart.find(i => i.id === product.id)?.qty || 0;
+        if (roundQty(currentInCart + qty) > product.stock) {
+            alert('Insufficient Stock!');
+            return;
+        }
+
+        const existing = this.state.cart.find(i => i.id === product.id);
+        if (existing) {
+            existing.qty = roundQty(existing.qty + qty);
+        } else {
+            this.state.cart.push({ ...product, qty });
+        }
+        this.updateCart();
+    }
+
+    // Accepts a quantity ("0.35") or, for loose items, a rupee amount ("₹50" / "rs 50")
+    // Returns null when cancelled or invalid
+    promptQuantity(product, current) {
+        const loose = isLooseUnit(product.unit);
+        const input = prompt(loose
+            ? `${product.name} @ ₹${product.price}/${product.unit}\nEnter ${product.unit === 'L' ? 'volume' : 'weight'} in ${product.unit} (e.g. 0.25) or amount as ₹50:`
+            : `${product.name}\nEnter quantity:`, current);
+        if (input === null) return null;
+
+        const text = input.toString().trim().toLowerCase();
+        const isAmount = /^(₹|rs\.?)/.test(text);
+        const value = parseFloat(text.replace(/^(₹|rs\.?)\s*/, ''));
+        if (isNaN(value) || value <= 0 || (isAmount && !loose)) {
+            alert('Invalid quantity');
+            return null;
+        }
+
+        const qty = roundQty(isAmount ? value / product.price : value);
+        if (!loose && !Number.isInteger(qty)) {
+            alert(`${product.name} is sold in whole ${product.unit || 'pcs'}`);
+            return null;
+        }
+        if (qty <= 0) {
+            alert('Invalid quantity');
+            return null;
+        }
+        return qty;
+    }
+
+    setItemQuantity(index) {
+        const item = this.state.cart[index];
+        if (!item) return;
+        const qty = this.promptQuantity(item, item.qty);
+        if (qty === null) return;
+        if (qty > item.stock) {
+            alert('Insufficient Stock!');
+            return;
+        }
+        item.qty = qty;
+        this.updateCart();
+    }
+
+    updateCartItem(index, change) {
+        const item = this.state.cart[index];
+        if (change === 0) {
+            // Remove
+            this.state.cart.splice(index, 1);
+        } else {
+            // Loose items step by 100g/100ml; whole units by one
+            const step = change * (isLooseUnit(item.unit) ? 0.1 : 1);
+            // Stock Check for increase
+            if (change > 0 && roundQty(item.qty + step) > item.stock) {
+                alert('Max stock reached');
+                return;
+            }
+            item.qty = roundQty(item.qty + step);
+            if (item.qty <= 0) this.state.cart.splice(index, 1);
+        }
+        this.updateCart();
+    }
+
+    resetBillOverrides() {
+        this.state.billOverrides = [];
+        this.state.approvedDiscountPercent = 0;
+    }
+
+    updateCart() {
+        this.ui.renderCart(this.state.cart,
+            (idx, change) => this.updateCartItem(idx, change),
+            (idx) => this.setItemDiscount(idx),
+            (idx) => this.setItemQuantity(idx)
+        );
+
+        // Calculations
+        if (this.state.cart.length === 0) {
+            this.state.billDiscount = { type: 'flat', value: 0 };
+            this.resetBillOverrides();
+        }
+        // Inclusive vs Exclusive is decided by the taxInclusive setting inside calculateTotals()
+        const { subtotal, discount, gstRates, tax, total } = this.calculateTotals();
+
+        this.ui.updateTotals(subtotal, tax, total, discount);
+        document.getElementById('bill-discount-label').textContent = formatDiscount(this.state.billDiscount) ? `(${formatDiscount(this.state.billDiscount)} on bill)` : '';
+
+        // Update display of tax rate
+        document.getElementById('gst-rate-display').textContent = gstRates.length ? gstRates.join('/') : 0;
+        this.updateHeldBillsCount();
+
+        if (this.state.cartIndex >= this.state.cart.length) this.state.cartIndex = this.state.cart.length - 1;
+        this.highlightKeyboardSelection();
+    }
+
+    // --- Held (Parked) Bills ---
+    updateHeldBillsCount() {
+        document.getElementById('held-bills-count').textContent = this.store.getHeldBills().length;
+    }
+
+    // Parks the current cart under a label and clears the counter for the next customer
+    holdBill(label) {
+        if (this.state.cart.length === 0) {
+            this.showHeldBills();
+            return;
+        }
+
+        const customerName = document.getElementById('cust-name-input').value.trim();
+        if (label === undefined) {
+            label = prompt('Label for this parked bill:', customerName || `Bill ${this.store.getHeldBills().length + 1}`);
+            if (label === null) return;
+        }
+
+        this.store.saveHeldBill({
+            id: generateId(),
+            label: label.trim() || 'Parked Bill',
+            cart: this.state.cart,
+            billDiscount: this.state.billDiscount,
+            interState: !!this.state.interState,
+            redeemPoints: this.state.redeemPoints || 0,
+            editingBillNo: this.state.editingBillNo, // Bill being edited keeps its original number
+            overrides: this.state.billOverrides,
+            approvedDiscountPercent: this.state.approvedDiscountPercent,
+            customerName,
+            customerPhone: document.getElementById('cust-phone-input').value.trim(),
+            total: this.calculateTotals().total,
+            staffId: this.state.currentUser ? this.state.currentUser.id : null,
+            staffName: this.state.currentUser ? this.state.currentUser.name : '',
+            timestamp: getTimestamp()
+        });
+
+        this.state.cart = [];
+        this.state.billDiscount = { type: 'flat', value: 0 };
+        this.state.interState = false;
+        this.state.redeemPoints = 0;
+        this.state.editingBillNo = null;
+        this.resetBillOverrides();
+        document.getElementById('redeem-points-input').value = '';
+        document.getElementById('cust-name-input').value = '';
+        document.getElementById('cust-phone-input').value = '';
+        document.getElementById('cust-lookup-info').textContent = '';
+        this.updateCart();
+    }
+
+    showHeldBills() {
+        const heldBills = this.store.getHeldBills();
+        const tbody = document.querySelector('#held-bills-table tbody');
+        tbody.innerHTML = '';
+        heldBills.forEach(h => {
+            const itemCount = h.cart.length;
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${h.label}${h.customerPhone ? `<br><small style="color:#666">${h.customerPhone}</small>` : ''}</td>
+                <td>${itemCount} items</td>
+                <td>${formatMoney(h.total || 0)}</td>
+                <td>${h.staffName || '-'}</td>
+                <td>${new Date(h.timestamp).toLocaleTimeString()}</td>
+                <td>
+                    <button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.resumeHeldBill('${h.id}')">Resume</button>
+                    <button class="btn btn-danger btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.discardHeldBill('${h.id}')">Discard</button>
+                </td>
+            `;
+            tbody.appendChild(tr);
+        });
+        if (heldBills.length === 0) tbody.innerHTML = '<tr><td colspan="6" style="text-align:center">No parked bills</td></tr>';
+
+        this.ui.showModal('held-bills-modal');
+    }
+
+    resumeHeldBill(id) {
+        const held = this.store.getHeldBills().find(h => h.id === id);
+        if (!held) return alert('Parked bill not found');
+
+        // Never lose the bill on the counter - park it before switching
+        if (this.state.cart.length > 0) {
+            if (!confirm('The current cart will be parked so this bill can be resumed. Continue?')) return;
+            this.holdBill(document.getElementById('cust-name-input').value.trim() || `Bill ${this.store.getHeldBills().length + 1}`);
+        }
+
+        this.store.deleteHeldBill(id);
+        this.state.cart = held.cart;
+        this.state.billDiscount = held.billDiscount || { type: 'flat', value: 0 };
+        this.state.interState = !!held.interState;
+        this.state.redeemPoints = held.redeemPoints || 0;
+        this.state.editingBillNo = held.editingBillNo || null;
+        this.state.billOverrides = held.overrides || [];
+        this.state.approvedDiscountPercent = held.approvedDiscountPercent || 0;
+        document.getElementById('redeem-points-input').value = held.redeemPoints || '';
+        document.getElementById('cust-name-input').value = held.customerName || '';
+        document.getElementById('cust-phone-input').value = held.customerPhone || '';
+        document.getElementById('cust-lookup-info').textContent = '';
+
+        this.ui.hideModals();
+        this.updateCart();
+    }
+
+    discardHeldBill(id) {
+        const held = this.store.getHeldBills().find(h => h.id === id);
+        if (!held) return;
+        if (held.editingBillNo) {
+            alert(`Bill #${held.editingBillNo} is being edited. Resume it and complete checkout instead of discarding.`);
+            return;
+        }
+        if (!confirm(`Discard parked bill "${held.label}"?`)) return;
+        this.store.deleteHeldBill(id);
+        this.showHeldBills();
+        this.updateHeldBillsCount();
+    }
+    // --- Staff Methods ---
+    loadStaff() {
+        if (!this.requirePermission('staff.manage')) return;
+
+        const staff = this.store.getStaff();
+        this.ui.renderStaffTable(staff,
+            (s) => this.openStaffModal(s),
+            (id) => {
+                if (this.requirePermission('staff.manage') && confirm('Delete Staff?')) {
+                    this.audit('staff.delete', 'staff', id, this.store.getStaff().find(s => s.id === id), null);
+                    this.store.deleteStaff(id).then(() => this.loadStaff(), () => {}); // Storage error already shown
+                }
+            }
+        );
+    }
+
+    // --- Customer Methods ---
+    getCustomerSales(customerId) {
+        return this.store.get(this.store.keys.SALES).filter(s => s.customerId === customerId);
+    }
+
+    getCustomerStats(customer) {
+        const sales = this.getCustomerSales(customer.id);
+        const returns = this.store.get(this.store.keys.RETURNS).filter(r => r.customerId === customer.id);
+        const creditGiven = sales.reduce((sum, s) => sum + getPaymentAmount(s, 'credit'), 0);
+        // Returns refunded to khata reduce what the customer owes
+        const creditReturned = returns.reduce((sum, r) => sum + (r.refundMode === 'credit' ? r.total : 0), 0);
+        const creditPaid = (customer.repayments || []).reduce((sum, r) => sum + r.amount, 0);
+        return {
+            visits: sales.length,
+            lifetimeSpend: sales.reduce((sum, s) => sum + s.total, 0) - returns.reduce((sum, r) => sum + r.total, 0),
+            lastVisit: sales.reduce((latest, s) => (!latest || s.date > latest ? s.date : latest), null),
+            creditGiven,
+            creditPaid,
+            creditReturned,
+            outstanding: creditGiven - creditPaid - creditReturned,
+            pointsEarned: sales.reduce((sum, s) => sum + (s.pointsEarned || 0), 0)
+                - returns.reduce((sum, r) => sum + (r.pointsReversed || 0), 0),
+            pointsRedeemed: sales.reduce((sum, s) => sum + (s.pointsRedeemed || 0), 0),
+            get points() { return this.pointsEarned - this.pointsRedeemed; }
+        };
+    }
+
+    // Khata ledger: credit sales are debits, repayments are credits, with a running balance
+    getCustomerLedger(customer) {
+        const entries = [
+            ...this.getCustomerSales(customer.id)
+                .filter(s => getPaymentAmount(s, 'credit') > 0)
+                .map(s => ({ date: s.date, description: `Bill #${s.billNo}`, debit: getPaymentAmount(s, 'credit'), credit: 0 })),
+            ...(customer.repayments || [])
+                .map(r => ({ date: r.timestamp || r.date, description: `Paid by ${PAYMENT_MODE_LABELS[r.mode] || r.mode}${r.notes ? ` - ${r.notes}` : ''}`, debit: 0, credit: r.amount })),
+            ...this.store.get(this.store.keys.RETURNS)
+                .filter(r => r.customerId === customer.id && r.refundMode === 'credit')
+                .map(r => ({ date: r.date, description: `Return CN #${r.creditNoteNo} (Bill #${r.billNo})`, debit: 0, credit: r.total }))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+
+        let balance = 0;
+        return entries.map(e => {
+            balance += e.debit - e.credit;
+            return { ...e, balance };
+        });
+    }
+
+    showCreditModal(customer) {
+        if (!this.requirePermission('customers.manage')) return;
+        const stats = this.getCustomerStats(customer);
+        document.getElementById('credit-customer-id').value = customer.id;
+        document.getElementById('credit-customer-name').textContent = customer.name;
+        document.getElementById('credit-outstanding').textContent = formatMoney(stats.outstanding);
+        document.getElementById('credit-pay-amount').value = '';
+        document.getElementById('credit-pay-date').value = getTodayDate();
+        document.getElementById('credit-pay-mode').value = 'cash';
+        document.getElementById('credit-pay-notes').value = '';
+
+        const tbody = document.querySelector('#credit-ledger-table tbody');
+        tbody.innerHTML = '';
+        const ledger = this.getCustomerLedger(customer);
+        ledger.forEach(e => {
+            tbody.innerHTML += `
+                <tr>
+                    <td>${new Date(e.date).toLocaleDateString()}</td>
+                    <td>${e.description}</td>
+                    <td>${e.debit ? formatMoney(e.debit) : '-'}</td>
+                    <td>${e.credit ? formatMoney(e.credit) : '-'}</td>
+                    <td>${formatMoney(e.balance)}</td>
+                </tr>
+            `;
+        });
+        if (ledger.length === 0) tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">No credit history</td></tr>';
+
+        this.ui.showModal('credit-modal');
+    }
+
+    async saveCreditRepayment() {
+        if (!this.requirePermission('customers.manage')) return;
+        const customerId = document.getElementById('credit-customer-id').value;
+        const amount = parseFloat(document.getElementById('credit-pay-amount').value);
+        const date = document.getElementById('credit-pay-date').value;
+        const mode = document.getElementById('credit-pay-mode').value;
+        const notes = document.getElementById('credit-pay-notes').value.trim();
+
+        if (isNaN(amount) || amount <= 0 || !date) {
+            alert('Please fill valid amount and date');
+            return;
+        }
+
+        const customer = this.store.getCustomers().find(c => c.id === customerId);
+        if (!customer) return;
+
+        const outstanding = this.getCustomerStats(customer).outstanding;
+        if (amount > outstanding + 0.009 && !confirm(`Amount is more than the outstanding ${formatMoney(outstanding)}. Record as advance?`)) return;
+
+        const repayment = {
+            id: generateId(),
+            amount,
+            mode,
+            date,
+            notes,
+            staffId: this.state.currentUser.id,
+            timestamp: date === getTodayDate() ? getTimestamp() : `${date}T00:00:00.000`
+        };
+        // Appended to the stored record, so a repayment taken on another till meanwhile stays
+        const updated = await this.store.updateCustomer(customerId, c => ({ repayments: [...(c.repayments || []), repayment] })).catch(() => null);
+        if (!updated) return; // Storage error already shown
 
-        // Customer Info
-        const customerHtml = sale.customer && sale.customer !== 'Guest' ?
-            `<div class="receipt-customer">Customer: <b>${sale.customer}</b></div>` : '';
+        alert('Repayment recorded');
+        this.showCreditModal(updated);
+        this.loadCustomers();
+    }
 
-        // Table Rows
-        const rowsHtml = sale.items.map(i => `
+    printCustomerStatement() {
+        if (!this.requirePermission('customers.manage')) return;
+        const customerId = document.getElementById('credit-customer-id').value;
+        const customer = this.store.getCustomers().find(c => c.id === customerId);
+        if (!customer) return;
+
+        const ledger = this.getCustomerLedger(customer);
+        const stats = this.getCustomerStats(customer);
+        const rowsHtml = ledger.map(e => `
             <tr>
-                <td>
-                    <div class="font-bold">${i.name}</div>
-                    ${i.unit ? `<div style="font-size: 10px; color: #444;">${i.unit}</div>` : ''}
-                </td>
-                <td class="text-center">${i.qty}</td>
-                <td class="text-right">${(i.price * i.qty).toFixed(2)}</td>
+                <td>${new Date(e.date).toLocaleDateString()}<div style="font-size: 10px;">${e.description}</div></td>
+                <td class="text-right">${e.debit ? e.debit.toFixed(2) : ''}</td>
+                <td class="text-right">${e.credit ? e.credit.toFixed(2) : ''}</td>
+                <td class="text-right">${e.balance.toFixed(2)}</td>
             </tr>
         `).join('');
 
-        const receiptHtml = `
+        this.printReceipt(`
             <div class="receipt-content">
-                ${headerHtml}
-                
+                ${this.buildReceiptHeader()}
                 <div class="receipt-info">
-                    <div>Bill No: <b>#${sale.billNo}</b></div>
-                    <div class="text-right">${new Date(sale.date).toLocaleDateString()} ${new Date(sale.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
-                    <div style="font-size: 11px; margin-top: 2px;">Billed By: <b>${sale.staffName || (this.store.getStaff().find(s => s.id === sale.staffId)?.name) || 'Staff'}</b></div>
+                    <div><b>KHATA STATEMENT</b></div>
+                    <div class="text-right">${new Date().toLocaleDateString()}</div>
+                </div>
+                <div class="receipt-customer">
+                    <div>Customer: <b>${customer.name}</b> (${customer.phone})</div>
                 </div>
-
-                ${customerHtml}
-
                 <table class="receipt-table">
                     <thead>
                         <tr>
-                            <th width="50%">Item</th>
-                            <th width="20%" class="text-center">Qty</th>
-                            <th width="30%" class="text-right">Amt</th>
+                            <th width="40%">Date</th>
+                            <th width="20%" class="text-right">Dr</th>
+                            <th width="20%" class="text-right">Cr</th>
+                            <th width="20%" class="text-right">Bal</th>
                         </tr>
                     </thead>
-                    <tbody>
-                        ${rowsHtml}
-                    </tbody>
+                    <tbody>${rowsHtml}</tbody>
                 </table>
-
                 <div class="receipt-totals">
-                    ${showTax ? `
-                    <div class="totals-row">
-                        <span>Subtotal</span>
-                        <span>${sale.subtotal.toFixed(2)}</span>
-                    </div>
-                    <div class="totals-row">
-                        <span>GST (${this.state.settings.defaultGstPercent}%)</span>
-                        <span>${sale.tax.toFixed(2)}</span>
-                    </div>` : ''}
-                    
                     <div class="totals-row final">
-                        <span>TOTAL</span>
-                        <span>${sale.total.toFixed(2)}</span>
+                        <span>OUTSTANDING</span>
+                        <span>${stats.outstanding.toFixed(2)}</span>
                     </div>
                 </div>
-
-                <div class="receipt-footer">
-                    <p>*** Thank You ***</p>
-                </div>
             </div>
-        `;
-
-        document.getElementById('receipt-container').innerHTML = receiptHtml;
-
-        // Show receipt for printing
-        const container = document.getElementById('receipt-container');
-        container.classList.remove('hidden');
-
-        window.print();
-
-        // Hide again after print
-        setTimeout(() => {
-            container.classList.add('hidden');
-            container.innerHTML = '';
-        }, 500);
+        `);
     }
 
-    loadProducts() {
-        let products = this.store.getProducts();
-
-        // Filter by category
-        if (this.state.currentCategory) {
-            products = products.filter(p => p.category.toLowerCase() === this.state.currentCategory);
-        }
+    loadCustomers() {
+        if (!this.requirePermission('customers.manage')) return;
+        const term = (document.getElementById('customer-search').value || '').toLowerCase();
+        const customers = this.store.getCustomers().filter(c =>
+            c.name.toLowerCase().includes(term) || (c.phone || '').includes(term)
+        );
 
-        // Filter by search term
-        if (this.state.searchTerm) {
-            products = products.filter(p => p.name.toLowerCase().includes(this.state.searchTerm));
-        }
+        this.ui.renderCustomerTable(customers,
+            (c) => this.getCustomerStats(c),
+            (c) => this.showCustomerHistory(c),
+            (c) => this.showCreditModal(c),
+            (c) => this.openCustomerModal(c)
+        );
+    }
 
-        this.ui.renderProducts(products, (p) => this.addToCart(p));
+    openCustomerModal(customer = null) {
+        if (!this.requirePermission('customers.manage')) return;
+        document.getElementById('form-modal-title').textContent = customer ? 'Edit Customer' : 'Add Customer';
+        document.getElementById('form-modal-body').innerHTML = this.ui.renderCustomerForm(customer);
+        this.ui.showModal('form-modal');
     }
 
-    addToCart(product) {
-        // Stock Check
-        const currentInCart = this.state.cart.find(i => i.id === product.id)?.qty || 0;
-        if (currentInCart + 1 > product.stock) {
-            alert('Insufficient Stock!');
+    async saveCustomer() {
+        if (!this.requirePermission('customers.manage')) return;
+        const id = document.getElementById('cust-form-id').value || generateId();
+        const name = document.getElementById('cust-form-name').value.trim();
+        const phone = document.getElementById('cust-form-phone').value.trim();
+        const address = document.getElementById('cust-form-address').value.trim();
+        const gstin = document.getElementById('cust-form-gstin').value.trim().toUpperCase();
+
+        if (!name || !phone) {
+            alert('Name and Phone are required');
             return;
         }
 
-        const existing = this.state.cart.find(i => i.id === product.id);
-        if (existing) {
-            existing.qty++;
-        } else {
-            this.state.cart.push({ ...product, qty: 1 });
+        const duplicate = this.store.findCustomerByPhone(phone);
+        if (duplicate && duplicate.id !== id) {
+            alert(`Phone number already belongs to ${duplicate.name}`);
+            return;
         }
-        this.updateCart();
-    }
 
-    updateCartItem(index, change) {
-        const item = this.state.cart[index];
-        if (change === 0) {
-            // Remove
-            this.state.cart.splice(index, 1);
-        } else {
-            // Stock Check for increase
-            if (change > 0 && item.qty + change > item.stock) {
-                alert('Max stock reached');
-                return;
-            }
-            item.qty += change;
-            if (item.qty <= 0) this.state.cart.splice(index, 1);
+        // Only the form's fields are sent; repayments and the rest stay as stored
+        const existing = this.store.getCustomers().find(c => c.id === id);
+        const customer = { id, name, phone, address, gstin, ...(existing ? {} : { createdAt: getTimestamp() }) };
+        try {
+            await this.store.saveCustomer(customer);
+        } catch (err) {
+            return; // Storage error already shown
         }
-        this.updateCart();
+        this.ui.hideModals();
+        this.loadCustomers();
     }
 
-    updateCart() {
-        this.ui.renderCart(this.state.cart, (idx, change) => this.updateCartItem(idx, change));
-
-        // Calculations
-        const subtotal = this.state.cart.reduce((sum, item) => sum + (item.price * item.qty), 0);
-        const gstRate = parseFloat(this.state.settings.defaultGstPercent) || 0;
-        const tax = (subtotal * gstRate) / 100;
-        // Logic can vary (Inclusive vs Exclusive). Assuming Exclusive for now as per "Add GST" typical flow
-        const total = Math.round(subtotal + tax);
+    showCustomerHistory(customer) {
+        if (!this.requirePermission('customers.manage')) return;
+        const sales = this.getCustomerSales(customer.id).sort((a, b) => b.date.localeCompare(a.date));
+        const stats = this.getCustomerStats(customer);
 
-        this.ui.updateTotals(subtotal, tax, total, 0); // Discount 0 for now
+        document.getElementById('customer-history-name').textContent = customer.name;
+        document.getElementById('customer-history-summary').innerHTML = `
+            <div>${customer.phone || ''}${customer.address ? ` · ${customer.address}` : ''}${customer.gstin ? ` · GSTIN ${customer.gstin}` : ''}</div>
+            <div><strong>${stats.visits}</strong> visits · Lifetime spend <strong>${formatMoney(stats.lifetimeSpend)}</strong> · Points <strong>${stats.points}</strong></div>
+        `;
 
-        // Update display of tax rate
-        document.getElementById('gst-rate-display').textContent = gstRate;
-    }
-    // --- Staff Methods ---
-    loadStaff() {
-        if (this.state.currentUser.role !== 'Admin') {
-            document.querySelector('#add-staff-btn').classList.add('hidden');
-        } else {
-            document.querySelector('#add-staff-btn').classList.remove('hidden');
-        }
+        const tbody = document.querySelector('#customer-history-table tbody');
+        tbody.innerHTML = '';
+        sales.forEach(s => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${new Date(s.date).toLocaleString()}</td>
+                <td>#${s.billNo}</td>
+                <td>${s.items.length} items</td>
+                <td>${formatMoney(s.total)}</td>
+                <td><button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.printSale('${s.id}')">Print</button></td>
+            `;
+            tbody.appendChild(tr);
+        });
+        if (sales.length === 0) tbody.innerHTML = '<tr><td colspan="5" style="text-align:center">No bills yet</td></tr>';
 
-        const staff = this.store.getStaff();
-        this.ui.renderStaffTable(staff,
-            (s) => this.openStaffModal(s),
-            (id) => {
-                if (confirm('Delete Staff?')) {
-                    this.store.deleteStaff(id);
-                    this.loadStaff();
-                }
-            }
-        );
+        this.ui.showModal('customer-history-modal');
     }
 
     // --- Category Methods ---
     loadCategories() {
+        if (!this.requirePermission('inventory.manage')) return;
         const products = this.store.getProducts();
 
         // Extract unique categories and count products
@@ -1551,6 +4770,7 @@ class App {
     }
 
     showCategoryModal(categoryName = null) {
+        if (!this.requirePermission('inventory.manage')) return;
         document.getElementById('category-modal-title').textContent = categoryName ? 'Edit Category' : 'Add Category';
         document.getElementById('category-id').value = categoryName || '';
         document.getElementById('category-name').value = categoryName || '';
@@ -1562,7 +4782,8 @@ class App {
         this.showCategoryModal(categoryName);
     }
 
-    saveCategory() {
+    async saveCategory() {
+        if (!this.requirePermission('inventory.manage')) return;
         const oldName = document.getElementById('category-id').value.trim();
         const newName = document.getElementById('category-name').value.trim();
 
@@ -1571,16 +4792,13 @@ class App {
             return;
         }
 
-        const products = this.store.getProducts();
-
         if (oldName) {
             // Editing existing category - rename it
-            products.forEach(p => {
-                if (p.category === oldName) {
-                    p.category = newName;
-                }
-            });
-            this.store.set(this.store.keys.PRODUCTS, products);
+            try {
+                await this.store.renameCategory(oldName, newName);
+            } catch (err) {
+                return; // Storage error already shown
+            }
             this.ui.hideModals();
             this.loadCategories();
             this.loadProducts(); // Refresh filters
@@ -1592,7 +4810,8 @@ class App {
         }
     }
 
-    deleteCategory(categoryName) {
+    async deleteCategory(categoryName) {
+        if (!this.requirePermission('inventory.manage')) return;
         const products = this.store.getProducts();
         const productsInCat = products.filter(p => p.category === categoryName);
 
@@ -1602,12 +4821,11 @@ class App {
             }
 
             // Set products to Uncategorized
-            products.forEach(p => {
-                if (p.category === categoryName) {
-                    p.category = 'Uncategorized';
-                }
-            });
-            this.store.set(this.store.keys.PRODUCTS, products);
+            try {
+                await this.store.renameCategory(categoryName, 'Uncategorized');
+            } catch (err) {
+                return; // Storage error already shown
+            }
         }
 
         this.loadCategories();
@@ -1616,35 +4834,62 @@ class App {
     }
 
     openStaffModal(staff = null) {
-        if (this.state.currentUser.role !== 'Admin') return alert('Access Denied');
+        if (!this.requirePermission('staff.manage')) return;
 
         const title = staff ? 'Edit Staff' : 'Add Staff';
         document.getElementById('form-modal-title').textContent = title;
-        document.getElementById('form-modal-body').innerHTML = this.ui.renderStaffForm(staff);
+        document.getElementById('form-modal-body').innerHTML = this.ui.renderStaffForm(staff, this.store.getRoles());
         this.ui.showModal('form-modal');
     }
 
-    saveStaff() {
-        const id = document.getElementById('staff-id').value || generateId();
+    async saveStaff() {
+        if (!this.requirePermission('staff.manage')) return;
+        const existingId = document.getElementById('staff-id').value;
+        const existing = existingId ? this.store.getStaff().find(s => s.id === existingId) : null;
+        const id = existingId || generateId();
         const name = document.getElementById('staff-name').value;
         const role = document.getElementById('staff-role').value;
-        const username = document.getElementById('staff-username').value;
+        const username = document.getElementById('staff-username').value.trim();
         const password = document.getElementById('staff-password').value;
+        const pin = document.getElementById('staff-pin').value.trim();
         const phone = document.getElementById('staff-phone').value;
         const salary = parseFloat(document.getElementById('staff-salary').value) || 0;
 
-        if (!name || !username || !password) {
+        // Password is only required for new staff; blank on edit keeps the current one
+        if (!name || !username || (!existing && !password)) {
             alert('Name, Username and Password are required');
             return;
         }
+        const duplicate = this.store.findStaffByUsername(username);
+        if (duplicate && duplicate.id !== id) return alert('Username already exists');
+        if (password) {
+            const error = this.validateNewPassword(password);
+            if (error) return alert(error);
+        }
+        if (pin && !PIN_PATTERN.test(pin)) return alert('PIN must be 4 to 6 digits');
+        if (existing && existing.role === 'Admin' && role !== 'Admin'
+            && !this.store.getStaff().some(s => s.id !== id && s.role === 'Admin' && s.passwordHash)) {
+            return alert('At least one Admin login must remain');
+        }
 
-        const staffMember = { id, name, role, username, password, phone, salary, employed: true };
-        this.store.saveStaff(staffMember);
+        // A password set by someone else is temporary; it also clears any lockout
+        const credentials = password
+            ? { ...(await createCredentials(password)), mustChangePassword: true, failedLogins: 0, lockedUntil: null }
+            : {};
+        if (pin) Object.assign(credentials, await createPinCredentials(pin));
+        // Only the form's fields are sent; attendance, payments and the rest stay as stored
+        const staffMember = { ...(existing ? {} : { employed: true }), id, name, role, username, phone, salary, ...credentials };
+        try {
+            await this.store.saveStaff(staffMember);
+        } catch (err) {
+            return; // Storage error already shown
+        }
         this.ui.hideModals();
         this.loadStaff();
     }
 
-    saveAttendance() {
+    async saveAttendance() {
+        if (!this.requirePermission('staff.manage')) return;
         const staffId = document.getElementById('attendance-staff-id').value;
         const date = document.getElementById('attendance-date').value;
         const status = document.getElementById('attendance-status').value;
@@ -1654,39 +4899,30 @@ class App {
             return;
         }
 
-        const staffList = this.store.getStaff();
-        const staffIndex = staffList.findIndex(s => s.id === staffId);
-
-        if (staffIndex > -1) {
-            // Initialize attendanceRecords if not exists
-            if (!staffList[staffIndex].attendanceRecords) {
-                staffList[staffIndex].attendanceRecords = [];
-            }
-
-            // Check if attendance already marked for this date
-            const existingIndex = staffList[staffIndex].attendanceRecords.findIndex(r => r.date === date);
+        const attendanceRecord = {
+            date: date,
+            status: status  // Store actual status: 'present', 'halfday', or 'absent'
+        };
 
-            const attendanceRecord = {
-                date: date,
-                status: status  // Store actual status: 'present', 'halfday', or 'absent'
+        // One record per date: replaces any already marked, on the staff record as stored now
+        const updated = await this.store.updateStaff(staffId, s => {
+            const records = s.attendanceRecords || [];
+            return {
+                attendanceRecords: records.some(r => r.date === date)
+                    ? records.map(r => (r.date === date ? attendanceRecord : r))
+                    : [...records, attendanceRecord]
             };
+        }).catch(() => null);
 
-            if (existingIndex > -1) {
-                // Update existing record
-                staffList[staffIndex].attendanceRecords[existingIndex] = attendanceRecord;
-            } else {
-                // Add new record
-                staffList[staffIndex].attendanceRecords.push(attendanceRecord);
-            }
-
-            this.store.saveStaff(staffList[staffIndex]);
+        if (updated) {
             this.ui.hideModals();
             this.loadStaff();
             alert('Attendance marked successfully!');
         }
     }
 
-    markSalaryPaid() {
+    async markSalaryPaid() {
+        if (!this.requirePermission('staff.manage')) return;
         const staffId = document.getElementById('salary-staff-id').value;
         const month = parseInt(document.getElementById('salary-month').value);
         const year = parseInt(document.getElementById('salary-year').value);
@@ -1697,44 +4933,34 @@ class App {
             return;
         }
 
-        const staffList = this.store.getStaff();
-        const staffIndex = staffList.findIndex(s => s.id === staffId);
-
-        if (staffIndex > -1) {
-            // Initialize salaryPayments if not exists
-            if (!staffList[staffIndex].salaryPayments) {
-                staffList[staffIndex].salaryPayments = [];
-            }
-
-            // Check if payment already exists for this month/year
-            const existingIndex = staffList[staffIndex].salaryPayments.findIndex(
-                p => p.month === month && p.year === year
-            );
+        const paymentRecord = {
+            month: month,
+            year: year,
+            amount: amount,
+            paid: true,
+            paidDate: getTimestamp()
+        };
 
-            const paymentRecord = {
-                month: month,
-                year: year,
-                amount: amount,
-                paid: true,
-                paidDate: getTimestamp()
+        // One payment per month: replaces any already recorded, on the staff record as stored now
+        const updated = await this.store.updateStaff(staffId, s => {
+            const payments = s.salaryPayments || [];
+            const sameMonth = (p) => p.month === month && p.year === year;
+            return {
+                salaryPayments: payments.some(sameMonth)
+                    ? payments.map(p => (sameMonth(p) ? paymentRecord : p))
+                    : [...payments, paymentRecord]
             };
+        }).catch(() => null);
 
-            if (existingIndex > -1) {
-                // Update existing record
-                staffList[staffIndex].salaryPayments[existingIndex] = paymentRecord;
-            } else {
-                // Add new record
-                staffList[staffIndex].salaryPayments.push(paymentRecord);
-            }
-
-            this.store.saveStaff(staffList[staffIndex]);
+        if (updated) {
             this.ui.hideModals();
             this.loadStaff();
             alert('Salary marked as paid!');
         }
     }
 
-    saveFinancialTransaction() {
+    async saveFinancialTransaction() {
+        if (!this.requirePermission('staff.manage')) return;
         const staffId = document.getElementById('finance-staff-id').value;
         const type = document.getElementById('trans-type').value;
         const amount = parseFloat(document.getElementById('trans-amount').value);
@@ -1746,25 +4972,19 @@ class App {
             return;
         }
 
-        const staffList = this.store.getStaff();
-        const index = staffList.findIndex(s => s.id === staffId);
-        if (index === -1) return;
-
-        if (!staffList[index].financialRecords) staffList[index].financialRecords = [];
-
-        staffList[index].financialRecords.push({
+        const record = {
             id: generateId(),
             type,
             amount,
             date,
             notes,
             timestamp: getTimestamp()
-        });
-
-        this.store.saveStaff(staffList[index]);
+        };
+        const updated = await this.store.updateStaff(staffId, s => ({ financialRecords: [...(s.financialRecords || []), record] })).catch(() => null);
+        if (!updated) return; // Staff gone, or storage error already shown
 
         // Refresh History Table directly
-        this.ui.updateFinanceHistory(staffList[index]);
+        this.ui.updateFinanceHistory(updated);
 
         // Reset Inputs
         document.getElementById('trans-amount').value = '';
@@ -1773,6 +4993,7 @@ class App {
     }
 
     showExpenseModal() {
+        if (!this.requirePermission('expenses.record')) return;
         document.getElementById('expense-date').value = getTodayDate();
         document.getElementById('expense-description').value = '';
         document.getElementById('expense-category').value = 'Other';
@@ -1783,6 +5004,7 @@ class App {
     }
 
     saveExpense() {
+        if (!this.requirePermission('expenses.record')) return;
         const date = document.getElementById('expense-date').value;
         const description = document.getElementById('expense-description').value.trim();
         const category = document.getElementById('expense-category').value;
@@ -1811,12 +5033,13 @@ class App {
     }
 
     showPurchaseModal() {
+        if (!this.requirePermission('purchases.record')) return;
         // Populate product dropdown
         const products = this.store.getProducts();
         const select = document.getElementById('purchase-product');
         select.innerHTML = '<option value="">Select Product</option>';
         products.forEach(p => {
-            select.innerHTML += `<option value="${p.id}">${p.name} - ₹${p.purchasePrice || p.price}</option>`;
+            select.innerHTML += `<option value="${p.id}">${p.name} - ₹${p.purchasePrice}</option>`;
         });
 
         // Reset form
@@ -1824,6 +5047,8 @@ class App {
         document.getElementById('purchase-supplier').value = '';
         document.getElementById('purchase-quantity').value = '';
         document.getElementById('purchase-price').value = '';
+        document.getElementById('purchase-mfg-date').value = '';
+        document.getElementById('purchase-expiry-date').value = '';
         document.getElementById('purchase-notes').value = '';
 
         // Clear items list
@@ -1836,13 +5061,20 @@ class App {
 
     addPurchaseItem() {
         const productId = document.getElementById('purchase-product').value;
-        const quantity = parseInt(document.getElementById('purchase-quantity').value);
+        const quantity = roundQty(parseFloat(document.getElementById('purchase-quantity').value));
         const price = parseFloat(document.getElementById('purchase-price').value);
+        // Bought-in goods made on an unknown date count from the purchase date
+        const mfgDate = document.getElementById('purchase-mfg-date').value || document.getElementById('purchase-date').value || getTodayDate();
+        const expiryDate = document.getElementById('purchase-expiry-date').value || null;
 
         if (!productId || isNaN(quantity) || quantity <= 0 || isNaN(price) || price <= 0) {
             alert('Please select a product and enter valid quantity and price');
             return;
         }
+        if (expiryDate && expiryDate < mfgDate) {
+            alert('Expiry date cannot be before the manufacture date');
+            return;
+        }
 
         const products = this.store.getProducts();
         const product = products.find(p => p.id === productId);
@@ -1860,13 +5092,17 @@ class App {
             productId: product.id,
             productName: product.name,
             quantity: quantity,
-            purchasePrice: price
+            purchasePrice: price,
+            mfgDate,
+            expiryDate
         });
 
         // Clear inputs
         document.getElementById('purchase-product').value = '';
         document.getElementById('purchase-quantity').value = '';
         document.getElementById('purchase-price').value = '';
+        document.getElementById('purchase-mfg-date').value = '';
+        document.getElementById('purchase-expiry-date').value = '';
 
         this.updatePurchaseItemsList();
     }
@@ -1893,7 +5129,8 @@ class App {
             div.innerHTML = `
                 <div>
                     <strong>${item.productName}</strong><br>
-                    <small>${item.quantity} units × ₹${item.purchasePrice.toFixed(2)} = ₹${itemTotal.toFixed(2)}</small>
+                    <small>${item.quantity} units × ₹${item.purchasePrice.toFixed(2)} = ₹${itemTotal.toFixed(2)}</small><br>
+                    <small style="color: #666;">Mfg ${item.mfgDate}${item.expiryDate ? ` · Exp ${item.expiryDate}` : ''}</small>
                 </div>
                 <button class="btn btn-danger" onclick="app.removePurchaseItem(${index})" style="padding: 4px 8px; font-size: 0.8em;">Remove</button>
             `;
@@ -1903,6 +5140,153 @@ class App {
         totalDiv.textContent = formatMoney(total);
     }
 
+    // Fills the expiry from the product's shelf life; prefix is 'purchase' or 'bake'
+    suggestExpiry(prefix) {
+        const product = this.store.getProducts().find(p => p.id === document.getElementById(`${prefix}-product`).value);
+        const mfgDate = document.getElementById(`${prefix}-mfg-date`).value
+            || (prefix === 'purchase' ? document.getElementById('purchase-date').value : '');
+        if (product && product.shelfLifeDays && mfgDate) {
+            document.getElementById(`${prefix}-expiry-date`).value = addDays(mfgDate, product.shelfLifeDays);
+        }
+    }
+
+    showBakeModal() {
+        if (!this.requirePermission('inventory.manage')) return;
+        const select = document.getElementById('bake-product');
+        select.innerHTML = '<option value="">Select Product</option>';
+        this.store.getProducts().forEach(p => {
+            select.innerHTML += `<option value="${p.id}">${p.name}</option>`;
+        });
+        document.getElementById('bake-quantity').value = '';
+        document.getElementById('bake-mfg-date').value = getTodayDate();
+        document.getElementById('bake-expiry-date').value = '';
+        document.getElementById('bake-notes').value = '';
+        this.ui.showModal('bake-modal');
+    }
+
+    async saveBake() {
+        if (!this.requirePermission('inventory.manage')) return;
+        const productId = document.getElementById('bake-product').value;
+        const qty = roundQty(parseFloat(document.getElementById('bake-quantity').value));
+        const mfgDate = document.getElementById('bake-mfg-date').value;
+        const expiryDate = document.getElementById('bake-expiry-date').value || null;
+        const notes = document.getElementById('bake-notes').value.trim();
+
+        const product = this.store.getProducts().find(p => p.id === productId);
+        if (!product || isNaN(qty) || qty <= 0 || !mfgDate) {
+            alert('Please select a product and enter a valid quantity and bake date');
+            return;
+        }
+        if (expiryDate && expiryDate < mfgDate) {
+            alert('Expiry date cannot be before the bake date');
+            return;
+        }
+
+        const bake = { productId, qty, mfgDate, expiryDate, notes };
+        try {
+            await this.store.addBake(bake);
+        } catch (err) {
+            return; // Storage error already shown; the bake modal stays open
+        }
+        this.audit('stock.bake', 'product', productId, null, bake);
+
+        this.ui.hideModals();
+        this.loadInventory();
+        this.loadProducts();
+        alert(`Bake recorded: ${formatQty(qty, product.unit)} ${product.name}${expiryDate ? `, expires ${expiryDate}` : ''}.`);
+    }
+
+    // --- Wastage ---
+    showWastageModal() {
+        if (!this.requirePermission('inventory.manage')) return;
+        const select = document.getElementById('wastage-product');
+        select.innerHTML = '<option value="">Select Product</option>';
+        this.store.getProducts().forEach(p => {
+            select.innerHTML += `<option value="${p.id}">${p.name} (${formatQty(p.stock, p.unit)} in stock)</option>`;
+        });
+        document.getElementById('wastage-reason').innerHTML = Object.entries(WASTAGE_REASONS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        document.getElementById('wastage-quantity').value = '';
+        document.getElementById('wastage-notes').value = '';
+        this.updateWastageBatches();
+        this.updateWastageCost();
+        this.ui.showModal('wastage-modal');
+    }
+
+    updateWastageBatches() {
+        const product = this.store.getProducts().find(p => p.id === document.getElementById('wastage-product').value);
+        const today = getTodayDate();
+        const batches = product ? [...(product.batches || [])].sort(batchOrder) : [];
+        document.getElementById('wastage-batch').innerHTML = '<option value="">Oldest first</option>' + batches.map(b => `
+            <option value="${b.id}">Made ${b.mfgDate || '-'}${b.expiryDate ? ` · Exp ${b.expiryDate}` : ''}${isExpired(b, today) ? ' (expired)' : ''} - ${formatQty(b.qty, product.unit)}</option>
+        `).join('');
+        // Expired stock is the usual write-off
+        const expired = batches.find(b => isExpired(b, today));
+        if (expired) {
+            document.getElementById('wastage-batch').value = expired.id;
+            document.getElementById('wastage-reason').value = 'expired';
+        }
+    }
+
+    updateWastageCost() {
+        const product = this.store.getProducts().find(p => p.id === document.getElementById('wastage-product').value);
+        const qty = parseFloat(document.getElementById('wastage-quantity').value) || 0;
+        document.getElementById('wastage-cost').textContent = formatMoney(product ? qty * product.purchasePrice : 0);
+    }
+
+    async saveWastage() {
+        if (!this.requirePermission('inventory.manage')) return;
+        // Stock leaves now, so the write-off is dated today like its ledger entry
+        const date = getTodayDate();
+        const productId = document.getElementById('wastage-product').value;
+        const batchId = document.getElementById('wastage-batch').value || null;
+        const qty = roundQty(parseFloat(document.getElementById('wastage-quantity').value));
+        const reason = document.getElementById('wastage-reason').value;
+        const notes = document.getElementById('wastage-notes').value.trim();
+
+        const product = this.store.getProducts().find(p => p.id === productId);
+        if (!product || isNaN(qty) || qty <= 0) {
+            alert('Please select a product and enter a valid quantity');
+            return;
+        }
+        const batch = batchId && (product.batches || []).find(b => b.id === batchId);
+        const available = batch ? batch.qty : product.stock;
+        if (qty > available) {
+            alert(`Only ${formatQty(available, product.unit)} ${batch ? 'left in that batch' : 'in stock'}`);
+            return;
+        }
+
+        // Valued at today's purchase price; the loss counts against today's profit
+        const entry = {
+            id: generateId(),
+            date,
+            timestamp: getTimestamp(),
+            productId,
+            productName: product.name,
+            unit: product.unit || 'pcs',
+            qty,
+            reason,
+            notes,
+            batchId,
+            expiryDate: batch ? batch.expiryDate : null,
+            costPrice: product.purchasePrice,
+            costValue: Math.round(qty * product.purchasePrice * 100) / 100,
+            staffId: this.state.currentUser.id,
+            staffName: this.state.currentUser.name
+        };
+        try {
+            await this.store.addWastage(entry);
+        } catch (err) {
+            return; // Storage error already shown; the wastage modal stays open
+        }
+        this.audit('stock.wastage', 'product', productId, null, entry);
+
+        this.ui.hideModals();
+        this.loadInventory();
+        this.loadProducts();
+        alert(`Written off ${formatQty(qty, product.unit)} ${product.name} (${formatMoney(entry.costValue)} at cost).`);
+    }
+
     removePurchaseItem(index) {
         if (this.state.purchaseItems) {
             this.state.purchaseItems.splice(index, 1);
@@ -1910,7 +5294,8 @@ class App {
         }
     }
 
-    savePurchase() {
+    async savePurchase() {
+        if (!this.requirePermission('purchases.record')) return;
         const date = document.getElementById('purchase-date').value;
         const supplier = document.getElementById('purchase-supplier').value.trim();
         const notes = document.getElementById('purchase-notes').value.trim();
@@ -1938,7 +5323,11 @@ class App {
             timestamp: getTimestamp()
         };
 
-        this.store.addPurchase(purchase);
+        try {
+            await this.store.addPurchase(purchase);
+        } catch (err) {
+            return; // Storage error already shown; the purchase modal stays open
+        }
 
         this.ui.hideModals();
         this.loadInventory(); // Refresh inventory to show updated stock
@@ -1947,6 +5336,7 @@ class App {
     }
 
     openOpeningBalanceModal() {
+        if (!this.requirePermission('reports.view')) return;
         const dateInput = document.getElementById('report-date').value;
         const dateStr = dateInput || getTodayDate();
 
@@ -1959,6 +5349,7 @@ class App {
     }
 
     saveOpeningBalance() {
+        if (!this.requirePermission('reports.view')) return;
         const date = document.getElementById('opening-balance-date').value;
         const amount = parseFloat(document.getElementById('opening-balance-amount').value);
 
@@ -1981,6 +5372,7 @@ class App {
 
     // --- Reports Methods ---
     loadReports() {
+        if (!this.requirePermission('reports.view')) return;
         const dateInput = document.getElementById('report-date').value;
         const dateStr = dateInput || getTodayDate();
         if (!dateInput) document.getElementById('report-date').value = dateStr;
@@ -1991,75 +5383,87 @@ class App {
         // Filter by Date for Totals
         const dailySales = sales.filter(s => s.date.startsWith(dateStr));
 
-        // Filter by Search Term for Table Display
-        const filteredSales = dailySales.filter(s =>
-            s.billNo.toString().includes(searchTerm) ||
-            (s.customer && s.customer.toLowerCase().includes(searchTerm))
-        );
-
-        const totalSales = dailySales.reduce((sum, s) => sum + s.total, 0);
-        const cashSales = dailySales.reduce((sum, s) => sum + (s.mode === 'cash' ? s.total : 0), 0);
-        const upiSales = dailySales.reduce((sum, s) => sum + (s.mode === 'upi' ? s.total : 0), 0);
-
-        // Profit calculation based on dailySales (not search filtered)
-        const products = this.store.getProducts();
-        const profit = dailySales.reduce((totalProfit, sale) => {
-            const saleProfit = sale.items.reduce((saleSum, item) => {
-                const product = products.find(p => p.id === item.id);
-                if (product) {
-                    const purchasePrice = product.purchasePrice || product.price || 0;
-                    const salesPrice = product.salesPrice || product.price || 0;
-                    const itemProfit = (salesPrice - purchasePrice) * item.qty;
-                    return saleSum + itemProfit;
-                }
-                return saleSum;
-            }, 0);
-            return totalProfit + saleProfit;
-        }, 0);
-
-        // Calculate Salary Expenses for selected date (Daily Basis)
-        const staff = this.store.getStaff();
-
-        const salaryExpenses = staff.reduce((total, staffMember) => {
-            const payments = staffMember.salaryPayments || [];
-            const dayPayments = payments.filter(payment =>
-                payment.paid &&
-                (payment.paidDate || '').startsWith(dateStr)
-            );
-            const staffTotal = dayPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
-            return total + staffTotal;
-        }, 0);
-
-        // Calculate Other Expenses for selected date (Daily Basis)
-        const allExpenses = this.store.get(this.store.keys.EXPENSES) || [];
-        const dateExpenses = allExpenses.filter(expense => expense.date === dateStr);
-        const otherExpenses = dateExpenses.reduce((sum, expense) => sum + expense.amount, 0);
-
-        // Calculate Total Expenses (salaries + other expenses)
-        const totalExpenses = salaryExpenses + otherExpenses;
-
-        // Calculate Net Profit (Gross Profit - Expenses)
-        const netProfit = profit - totalExpenses;
+        // Filter by Search Term for Table Display
+        const filteredSales = dailySales.filter(s =>
+            s.billNo.toString().includes(searchTerm) ||
+            (s.customer && s.customer.toLowerCase().includes(searchTerm))
+        );
+
+        const totalSales = dailySales.reduce((sum, s) => sum + s.total, 0);
+        const cashSales = dailySales.reduce((sum, s) => sum + getPaymentAmount(s, 'cash'), 0);
+        const upiSales = dailySales.reduce((sum, s) => sum + getPaymentAmount(s, 'upi'), 0);
+        const totalDiscount = dailySales.reduce((sum, s) => sum + (s.discount || 0), 0);
+        const totalTax = dailySales.reduce((sum, s) => sum + (s.tax || 0), 0);
+
+        // Khata: credit given on the day's bills, and repayments collected that day
+        const creditGiven = dailySales.reduce((sum, s) => sum + getPaymentAmount(s, 'credit'), 0);
+        const dayRepayments = this.store.getCustomers()
+            .flatMap(c => c.repayments || [])
+            .filter(r => r.date === dateStr);
+        const creditCollected = dayRepayments.reduce((sum, r) => sum + r.amount, 0);
+
+        // Returns processed on the day (against any bill) reduce that day's net sales
+        const dailyReturns = this.store.get(this.store.keys.RETURNS).filter(r => r.date.startsWith(dateStr));
+        const totalReturns = dailyReturns.reduce((sum, r) => sum + r.total, 0);
+
+        // Loyalty: the day's points movement and the all-time unredeemed liability
+        const pointsEarned = dailySales.reduce((sum, s) => sum + (s.pointsEarned || 0), 0)
+            - dailyReturns.reduce((sum, r) => sum + (r.pointsReversed || 0), 0);
+        const pointsRedeemed = dailySales.reduce((sum, s) => sum + (s.pointsRedeemed || 0), 0);
+        const pointsLiability = this.getPointsLiability();
+
+        // Profit, expenses and wastage for the day (not search filtered), only worked out for roles that see profit
+        const canSeeProfit = this.can('reports.profit');
+        const { salaryExpenses, dateExpenses, otherExpenses, totalExpenses, dateWastage, wastageCost, netProfit } = canSeeProfit ? this.getDailyProfit(dateStr) : {};
 
         document.getElementById('report-sales-total').textContent = formatMoney(totalSales);
+        document.getElementById('report-returns-total').textContent = formatMoney(totalReturns);
+        document.getElementById('report-net-sales').textContent = formatMoney(totalSales - totalReturns);
         document.getElementById('report-cash-total').textContent = formatMoney(cashSales);
         document.getElementById('report-upi-total').textContent = formatMoney(upiSales);
-        document.getElementById('report-salary-expenses').textContent = formatMoney(salaryExpenses);
-        document.getElementById('report-total-expenses').textContent = formatMoney(totalExpenses);
-        document.getElementById('report-profit').textContent = formatMoney(netProfit);
+        document.getElementById('report-discount-total').textContent = formatMoney(totalDiscount);
+        document.getElementById('report-tax-total').textContent = formatMoney(totalTax);
+        document.getElementById('report-credit-given').textContent = formatMoney(creditGiven);
+        document.getElementById('report-credit-collected').textContent = formatMoney(creditCollected);
+        document.getElementById('report-points-earned').textContent = pointsEarned;
+        document.getElementById('report-points-redeemed').textContent = pointsRedeemed;
+        document.getElementById('report-points-liability').textContent = `${pointsLiability.points} pts (${formatMoney(pointsLiability.value)})`;
+        if (canSeeProfit) {
+            document.getElementById('report-salary-expenses').textContent = formatMoney(salaryExpenses);
+            document.getElementById('report-total-expenses').textContent = formatMoney(totalExpenses);
+            document.getElementById('report-wastage-total').textContent = formatMoney(wastageCost);
+            document.getElementById('report-profit').textContent = formatMoney(netProfit);
+        } else {
+            // Clear whatever an earlier user with profit access left on the page
+            ['report-salary-expenses', 'report-total-expenses', 'report-wastage-total', 'report-profit']
+                .forEach(id => document.getElementById(id).textContent = '');
+            document.querySelectorAll('#expenses-table tbody, #wastage-table tbody').forEach(tbody => tbody.innerHTML = '');
+        }
 
         // Update Opening Balance Display
         const log = this.store.getDailyLog(dateStr);
         const openingBalance = log ? log.openingBalance : 0; // Ensure number
         document.getElementById('report-opening-balance').textContent = formatMoney(openingBalance);
 
-        // Calculate and Update Cash in Hand (Opening + Cash Sales)
+        // Calculate and Update Cash in Hand (Opening + Cash Sales + Khata repaid in cash - Cash refunds)
         // Assumption: Expenses logic is not fully split by Cash/Online yet, so we stick to gross cash flow
-        const cashInHand = (parseFloat(openingBalance) || 0) + cashSales;
+        const cashInHand = this.getCashDrawerSummary(dateStr).cashInHand;
         document.getElementById('report-cash-in-hand').textContent = formatMoney(cashInHand);
 
         // Render Cash Sales Table
-        const cashTransactions = filteredSales.filter(s => s.mode === 'cash');
+        // Split bills appear in both tables with their share of the tender
+        // Return only for roles allowed to; Edit / Delete fall back to a manager override
+        const canReturn = this.can('sales.return');
+        const lock = this.can('sales.edit') ? '' : '🔒 ';
+        const saleActions = (s) => `
+            ${canReturn ? `<button class="btn btn-warning btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.openReturnModal('${s.id}')">Return</button>` : ''}
+            <button class="btn btn-secondary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.editSale('${s.id}')">${lock}Edit</button>
+            <button class="btn btn-danger btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.deleteSale('${s.id}')">${lock}Delete</button>`;
+
+        const tenderCell = (s, mode) => getSalePayments(s).length > 1
+            ? `${formatMoney(getPaymentAmount(s, mode))} <small style="color: #888;">(split of ${formatMoney(s.total)})</small>`
+            : formatMoney(s.total);
+        const cashTransactions = filteredSales.filter(s => getPaymentAmount(s, 'cash') > 0);
         const cashTbody = document.querySelector('#cash-sales-table tbody');
         if (cashTbody) {
             cashTbody.innerHTML = '';
@@ -2069,11 +5473,10 @@ class App {
                         <td>${new Date(s.date).toLocaleTimeString()}</td>
                         <td>#${s.billNo}</td>
                         <td>${s.items.length} items</td>
-                        <td>${formatMoney(s.total)}</td>
+                        <td>${tenderCell(s, 'cash')}</td>
                         <td>
                              <button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.printSale('${s.id}')">Print</button>
-                             <button class="btn btn-secondary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.editSale('${s.id}')">Edit</button>
-                             <button class="btn btn-danger btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.deleteSale('${s.id}')">Delete</button>
+                             ${saleActions(s)}
                         </td>
                     `;
                 cashTbody.appendChild(tr);
@@ -2084,7 +5487,7 @@ class App {
         }
 
         // Render UPI Sales Table
-        const upiTransactions = filteredSales.filter(s => s.mode === 'upi');
+        const upiTransactions = filteredSales.filter(s => getPaymentAmount(s, 'upi') > 0);
         const upiTbody = document.querySelector('#upi-sales-table tbody');
         if (upiTbody) {
             upiTbody.innerHTML = '';
@@ -2094,11 +5497,10 @@ class App {
                         <td>${new Date(s.date).toLocaleTimeString()}</td>
                         <td>#${s.billNo}</td>
                         <td>${s.items.length} items</td>
-                        <td>${formatMoney(s.total)}</td>
+                        <td>${tenderCell(s, 'upi')}</td>
                         <td>
                             <button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.printSale('${s.id}')">Print</button>
-                            <button class="btn btn-secondary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.editSale('${s.id}')">Edit</button>
-                            <button class="btn btn-danger btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.deleteSale('${s.id}')">Delete</button>
+                            ${saleActions(s)}
                         </td>
                     `;
                 upiTbody.appendChild(tr);
@@ -2108,9 +5510,60 @@ class App {
             }
         }
 
+        // Render Credit (Khata) Sales Table
+        const creditTransactions = filteredSales.filter(s => getPaymentAmount(s, 'credit') > 0);
+        const creditTbody = document.querySelector('#credit-sales-table tbody');
+        if (creditTbody) {
+            creditTbody.innerHTML = '';
+            creditTransactions.forEach(s => {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                        <td>${new Date(s.date).toLocaleTimeString()}</td>
+                        <td>#${s.billNo}</td>
+                        <td>${s.customer}</td>
+                        <td>${tenderCell(s, 'credit')}</td>
+                        <td>
+                            <button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem; margin-right: 5px;" onclick="app.printSale('${s.id}')">Print</button>
+                            ${saleActions(s)}
+                        </td>
+                    `;
+                creditTbody.appendChild(tr);
+            });
+            if (creditTransactions.length === 0) {
+                creditTbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">No credit sales for this date</td></tr>';
+            }
+        }
+
+        // Render Returns (Credit Notes) Table
+        const returnsTbody = document.querySelector('#returns-table tbody');
+        if (returnsTbody) {
+            returnsTbody.innerHTML = '';
+            dailyReturns.filter(r =>
+                r.billNo.toString().includes(searchTerm) ||
+                `cn-${r.creditNoteNo}`.includes(searchTerm) ||
+                (r.customer && r.customer.toLowerCase().includes(searchTerm))
+            ).forEach(r => {
+                const tr = document.createElement('tr');
+                tr.innerHTML = `
+                        <td>${new Date(r.date).toLocaleTimeString()}</td>
+                        <td>CN-${r.creditNoteNo}</td>
+                        <td>#${r.billNo}</td>
+                        <td>${r.items.map(i => `${i.name} (${formatQty(i.qty, i.unit)})`).join(', ')}</td>
+                        <td>${formatMoney(r.total)} <small style="color: #888;">${PAYMENT_MODE_LABELS[r.refundMode] || r.refundMode}</small></td>
+                        <td>
+                            <button class="btn btn-primary btn-sm" style="padding: 2px 8px; font-size: 0.8rem;" onclick="app.printCreditNote('${r.id}')">Print</button>
+                        </td>
+                    `;
+                returnsTbody.appendChild(tr);
+            });
+            if (returnsTbody.children.length === 0) {
+                returnsTbody.innerHTML = '<tr><td colspan="6" style="text-align:center;">No returns for this date</td></tr>';
+            }
+        }
+
         // Render Expense Breakdown Table
         const expenseTbody = document.querySelector('#expenses-table tbody');
-        if (expenseTbody) {
+        if (expenseTbody && canSeeProfit) {
             expenseTbody.innerHTML = '';
             if (dateExpenses.length > 0) {
                 // Sort by date
@@ -2141,6 +5594,36 @@ class App {
             }
         }
 
+        // Render Wastage Table
+        const wastageTbody = document.querySelector('#wastage-table tbody');
+        if (wastageTbody && canSeeProfit) {
+            wastageTbody.innerHTML = '';
+            if (dateWastage.length > 0) {
+                dateWastage.forEach(w => {
+                    const tr = document.createElement('tr');
+                    tr.innerHTML = `
+                            <td>${w.productName}</td>
+                            <td>${w.expiryDate ? `Exp ${w.expiryDate}` : (w.batches ? 'Oldest first' : '-')}</td>
+                            <td>${WASTAGE_REASONS[w.reason] || w.reason}${w.notes ? ` - ${w.notes}` : ''}</td>
+                            <td>${formatQty(w.qty, w.unit)}</td>
+                            <td>${formatMoney(w.costValue)}</td>
+                        `;
+                    wastageTbody.appendChild(tr);
+                });
+
+                const totalRow = document.createElement('tr');
+                totalRow.style.fontWeight = 'bold';
+                totalRow.style.borderTop = '2px solid #ddd';
+                totalRow.innerHTML = `
+                        <td colspan="4" style="text-align:right;">Total Wastage:</td>
+                        <td>${formatMoney(wastageCost)}</td>
+                    `;
+                wastageTbody.appendChild(totalRow);
+            } else {
+                wastageTbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">No wastage recorded for this date</td></tr>';
+            }
+        }
+
         // Render Purchase History Table
         const purchaseTbody = document.querySelector('#purchase-history-table tbody');
         if (purchaseTbody) {
@@ -2175,127 +5658,430 @@ class App {
             }
         }
 
-        // Render Stock Movement Report
+        // Render Stock Movement Report (from the stock ledger, so every kind of movement counts)
         const stockMovementTbody = document.querySelector('#stock-movement-table tbody');
         if (stockMovementTbody) {
             stockMovementTbody.innerHTML = '';
 
             const products = this.store.getProducts();
-            const allPurchases = this.store.get(this.store.keys.PURCHASES) || [];
-            const allSales = this.store.get(this.store.keys.SALES) || [];
-
-            // Filter for selected date
-            const datePurchases = allPurchases.filter(p => p.date === dateStr);
-            const dateSales = allSales.filter(s => s.date === dateStr);
-
-            // Build movement map
-            const movementMap = {};
-
-            // Track stock IN from purchases
-            datePurchases.forEach(purchase => {
-                purchase.items.forEach(item => {
-                    if (!movementMap[item.productId]) {
-                        movementMap[item.productId] = {
-                            name: item.productName,
-                            stockIn: 0,
-                            stockOut: 0
-                        };
-                    }
-                    movementMap[item.productId].stockIn += item.quantity;
-                });
-            });
-
-            // Track stock OUT from sales
-            dateSales.forEach(sale => {
-                sale.items.forEach(item => {
-                    if (!movementMap[item.id]) {
-                        movementMap[item.id] = {
-                            name: item.name,
-                            stockIn: 0,
-                            stockOut: 0
-                        };
-                    }
-                    movementMap[item.id].stockOut += item.qty;
-                });
-            });
+            const productIds = [...new Set(this.store.getStockLedger()
+                .filter(e => e.date.slice(0, 10) === dateStr)
+                .map(e => e.productId))];
 
-            const movements = Object.entries(movementMap);
-
-            if (movements.length === 0) {
+            if (productIds.length === 0) {
                 stockMovementTbody.innerHTML = '<tr><td colspan="5" style="text-align:center;">No stock movements for this date</td></tr>';
             } else {
-                movements.forEach(([productId, data]) => {
+                productIds.forEach(productId => {
                     const product = products.find(p => p.id === productId);
-                    const currentStock = product ? product.stock : 0;
-                    const netMovement = data.stockIn - data.stockOut;
+                    const card = this.getStockCard(productId, dateStr, dateStr);
+                    const name = product ? product.name : card.entries[0].productName;
+                    const unit = product ? product.unit : 'pcs';
 
                     const tr = document.createElement('tr');
                     tr.innerHTML = `
-                            <td>${data.name}</td>
-                            <td style="color: #27ae60;">${data.stockIn > 0 ? '+' + data.stockIn : data.stockIn}</td>
-                            <td style="color: #e74c3c;">${data.stockOut > 0 ? '-' + data.stockOut : data.stockOut}</td>
-                            <td style="color: ${netMovement >= 0 ? '#27ae60' : '#e74c3c'}; font-weight: bold;">
-                                ${netMovement >= 0 ? '+' : ''}${netMovement}
-                            </td>
-                            <td><strong>${currentStock}</strong></td>
+                            <td>${name}</td>
+                            <td>${formatQty(card.opening, unit)}</td>
+                            <td style="color: #27ae60;">${card.stockIn > 0 ? '+' : ''}${formatQty(card.stockIn, unit)}</td>
+                            <td style="color: #e74c3c;">${card.stockOut > 0 ? '-' : ''}${formatQty(card.stockOut, unit)}</td>
+                            <td><strong>${formatQty(card.closing, unit)}</strong></td>
                         `;
                     stockMovementTbody.appendChild(tr);
                 });
-
-                // Add totals row
-                const totalStockIn = movements.reduce((sum, [_, data]) => sum + data.stockIn, 0);
-                const totalStockOut = movements.reduce((sum, [_, data]) => sum + data.stockOut, 0);
-                const totalNet = totalStockIn - totalStockOut;
-
-                const totalRow = document.createElement('tr');
-                totalRow.style.fontWeight = 'bold';
-                totalRow.style.borderTop = '2px solid #ddd';
-                totalRow.style.backgroundColor = '#f8f9fa';
-                totalRow.innerHTML = `
-                        <td>TOTAL</td>
-                        <td style="color: #27ae60;">+${totalStockIn}</td>
-                        <td style="color: #e74c3c;">-${totalStockOut}</td>
-                        <td style="color: ${totalNet >= 0 ? '#27ae60' : '#e74c3c'};">
-                            ${totalNet >= 0 ? '+' : ''}${totalNet}
-                        </td>
-                        <td>-</td>
-                    `;
-                stockMovementTbody.appendChild(totalRow);
             }
         }
     }
 
-    deleteSale(saleId) {
-        if (!confirm('Are you sure you want to delete this sale? This will restore stock.')) return;
+    // Margin on the day's sales less returns, then expenses and wastage, as shown in reports and exports
+    getDailyProfit(dateStr) {
+        const dailySales = this.store.get(this.store.keys.SALES).filter(s => s.date.startsWith(dateStr));
+        const dailyReturns = this.store.get(this.store.keys.RETURNS).filter(r => r.date.startsWith(dateStr));
+        const products = this.store.getProducts();
+        const profit = dailySales.reduce((totalProfit, sale) => {
+            const saleProfit = sale.items.reduce((saleSum, item) => {
+                const product = products.find(p => p.id === item.id);
+                if (product) {
+                    const itemProfit = (product.salesPrice - product.purchasePrice) * item.qty;
+                    return saleSum + itemProfit;
+                }
+                return saleSum;
+            }, 0);
+            // Inclusive prices carry GST inside salesPrice, which is not the shop's profit
+            return totalProfit + saleProfit - (sale.discount || 0) - (sale.taxInclusive ? sale.tax : 0);
+        }, 0) - dailyReturns.reduce((sum, r) => sum + this.getReturnProfit(r, products), 0);
+
+        // Calculate Salary Expenses for selected date (Daily Basis)
+        const staff = this.store.getStaff();
+
+        const salaryExpenses = staff.reduce((total, staffMember) => {
+            const payments = staffMember.salaryPayments || [];
+            const dayPayments = payments.filter(payment =>
+                payment.paid &&
+                (payment.paidDate || '').startsWith(dateStr)
+            );
+            const staffTotal = dayPayments.reduce((sum, p) => sum + (p.amount || 0), 0);
+            return total + staffTotal;
+        }, 0);
+
+        // Calculate Other Expenses for selected date (Daily Basis)
+        const allExpenses = this.store.get(this.store.keys.EXPENSES) || [];
+        const dateExpenses = allExpenses.filter(expense => expense.date === dateStr);
+        const otherExpenses = dateExpenses.reduce((sum, expense) => sum + expense.amount, 0);
+
+        // Calculate Total Expenses (salaries + other expenses)
+        const totalExpenses = salaryExpenses + otherExpenses;
 
+        // Stock written off that day, valued at cost
+        const dateWastage = this.store.get(this.store.keys.WASTAGE).filter(w => w.date === dateStr);
+        const wastageCost = dateWastage.reduce((sum, w) => sum + w.costValue, 0);
+
+        // Calculate Net Profit (Gross Profit - Expenses - Wastage)
+        const netProfit = profit - totalExpenses - wastageCost;
+        return { grossProfit: profit, salaryExpenses, dateExpenses, otherExpenses, totalExpenses, dateWastage, wastageCost, netProfit };
+    }
+
+    // Outstanding loyalty points across all customers, valued at the current redemption rate
+    getPointsLiability() {
         const sales = this.store.get(this.store.keys.SALES);
-        const saleIndex = sales.findIndex(s => s.id === saleId);
+        const reversed = this.store.get(this.store.keys.RETURNS).reduce((sum, r) => sum + (r.pointsReversed || 0), 0);
+        const points = sales.reduce((sum, s) => sum + (s.customerId ? (s.pointsEarned || 0) - (s.pointsRedeemed || 0) : 0), 0) - reversed;
+        return { points, value: points * (parseFloat(this.state.settings.loyaltyPointValue) || 0) };
+    }
 
-        if (saleIndex === -1) {
-            alert('Sale not found');
-            return;
+    // Expected cash in the drawer for a day: opening float + cash sales + khata repaid in cash - cash refunds
+    getCashDrawerSummary(dateStr) {
+        const daySales = this.store.get(this.store.keys.SALES).filter(s => s.date.startsWith(dateStr));
+        const cashSales = daySales.reduce((sum, s) => sum + getPaymentAmount(s, 'cash'), 0);
+        const creditCollectedCash = this.store.getCustomers()
+            .flatMap(c => c.repayments || [])
+            .filter(r => r.date === dateStr && r.mode === 'cash')
+            .reduce((sum, r) => sum + r.amount, 0);
+        const cashRefunds = this.store.get(this.store.keys.RETURNS)
+            .filter(r => r.date.startsWith(dateStr) && r.refundMode === 'cash')
+            .reduce((sum, r) => sum + r.total, 0);
+        const log = this.store.getDailyLog(dateStr);
+        const openingBalance = parseFloat(log ? log.openingBalance : 0) || 0;
+        return {
+            openingBalance,
+            cashSales,
+            cashBills: daySales.filter(s => getPaymentAmount(s, 'cash') > 0).length,
+            creditCollectedCash,
+            cashRefunds,
+            cashInHand: openingBalance + cashSales + creditCollectedCash - cashRefunds
+        };
+    }
+
+    async openCashDrawerReport() {
+        const approval = await this.authorize('drawer.view', 'drawer.view', 'Open the cash drawer report');
+        if (!approval) return;
+        const dateStr = getTodayDate();
+        const summary = this.getCashDrawerSummary(dateStr);
+        this.audit('drawer.view', 'drawer', dateStr, null, { cashInHand: summary.cashInHand, override: approval === true ? null : approval });
+
+        document.querySelector('#drawer-table tbody').innerHTML = `
+            <tr><td>Opening Balance</td><td style="text-align: right;">${formatMoney(summary.openingBalance)}</td></tr>
+            <tr><td>Cash Sales (${summary.cashBills} bills)</td><td style="text-align: right;">${formatMoney(summary.cashSales)}</td></tr>
+            <tr><td>Khata Collected in Cash</td><td style="text-align: right;">${formatMoney(summary.creditCollectedCash)}</td></tr>
+            <tr><td>Cash Refunds</td><td style="text-align: right;">- ${formatMoney(summary.cashRefunds)}</td></tr>
+            <tr><td><strong>Expected Cash in Drawer</strong></td><td style="text-align: right;"><strong>${formatMoney(summary.cashInHand)}</strong></td></tr>
+        `;
+        document.getElementById('drawer-date').textContent = new Date().toLocaleDateString();
+        this.ui.showModal('drawer-modal');
+    }
+
+    // --- Returns & Credit Notes ---
+    // Margin given back on a return: refunded value net of GST less what the goods cost
+    getReturnProfit(ret, products) {
+        return ret.items.reduce((sum, item) => {
+            const product = products.find(p => p.id === item.id);
+            const purchasePrice = product ? product.purchasePrice : 0;
+            return sum + item.taxable - purchasePrice * item.qty;
+        }, 0);
+    }
+
+    getSaleReturns(saleId) {
+        return this.store.get(this.store.keys.RETURNS).filter(r => r.saleId === saleId);
+    }
+
+    // Amount actually charged for a sale line; bills saved before per-line tax get a pro-rata share
+    getSaleLineValues(sale, item) {
+        if (item.lineTotal !== undefined) {
+            return { lineTotal: item.lineTotal, tax: item.tax || 0, taxable: item.taxable };
         }
+        const gross = sale.items.reduce((sum, i) => sum + i.price * i.qty, 0);
+        const share = gross > 0 ? (item.price * item.qty) / gross : 0;
+        const lineTotal = sale.total * share;
+        const tax = (sale.tax || 0) * share;
+        return { lineTotal, tax, taxable: lineTotal - tax };
+    }
 
-        const sale = sales[saleIndex];
-        const products = this.store.getProducts();
+    findReturnBill() {
+        if (!this.requirePermission('sales.return')) return;
+        const billNo = prompt('Enter Bill # to return items from:');
+        if (billNo === null) return;
+        const sale = this.store.get(this.store.keys.SALES).find(s => s.billNo.toString() === billNo.trim().replace('#', ''));
+        if (!sale) return alert('Bill not found');
+        this.openReturnModal(sale.id);
+    }
+
+    openReturnModal(saleId) {
+        if (!this.requirePermission('sales.return')) return;
+        const sale = this.store.get(this.store.keys.SALES).find(s => s.id === saleId);
+        if (!sale) return alert('Sale not found');
+
+        const returns = this.getSaleReturns(sale.id);
+        document.getElementById('return-sale-id').value = sale.id;
+        document.getElementById('return-bill-info').textContent =
+            `Bill #${sale.billNo} · ${new Date(sale.date).toLocaleString()} · ${sale.customer || 'Guest'} · ${formatMoney(sale.total)} (${describePayments(sale)})`;
+
+        const tbody = document.querySelector('#return-items-table tbody');
+        tbody.innerHTML = '';
+        sale.items.forEach((item, index) => {
+            const returned = roundQty(returns.reduce((sum, r) => sum + r.items.filter(i => i.lineIndex === index).reduce((q, i) => q + i.qty, 0), 0));
+            const returnable = roundQty(item.qty - returned);
+            const { lineTotal } = this.getSaleLineValues(sale, item);
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>${item.name}</td>
+                <td>${formatQty(item.qty, item.unit)}</td>
+                <td>${formatQty(returned, item.unit)}</td>
+                <td>${formatMoney(lineTotal / item.qty)}</td>
+                <td><input type="number" class="return-qty" data-idx="${index}" min="0" max="${returnable}"
+                    step="${isLooseUnit(item.unit) ? 'any' : '1'}" value="0" ${returnable <= 0 ? 'disabled' : ''} style="width: 80px;"></td>
+            `;
+            tbody.appendChild(tr);
+        });
+        tbody.querySelectorAll('.return-qty').forEach(input => {
+            input.oninput = () => this.updateReturnTotal();
+        });
 
-        // Restore Stock
-        sale.items.forEach(item => {
-            const productIndex = products.findIndex(p => p.id === item.id);
-            if (productIndex > -1) {
-                products[productIndex].stock += item.qty;
+        // Khata refunds only make sense when the bill belongs to a customer
+        const creditOption = document.querySelector('#return-refund-mode option[value="credit"]');
+        creditOption.disabled = !sale.customerId;
+        document.getElementById('return-refund-mode').value = getSalePayments(sale)[0].mode === 'credit' && sale.customerId ? 'credit' : 'cash';
+        document.getElementById('return-reason').value = '';
+        this.updateReturnTotal();
+        this.ui.showModal('return-modal');
+    }
+
+    // Builds the return lines from the modal inputs; null if any quantity is invalid
+    collectReturnItems(sale) {
+        const returns = this.getSaleReturns(sale.id);
+        const items = [];
+        let valid = true;
+        document.querySelectorAll('#return-items-table .return-qty').forEach(input => {
+            const index = parseInt(input.dataset.idx);
+            const qty = roundQty(parseFloat(input.value) || 0);
+            if (qty === 0) return;
+            const item = sale.items[index];
+            const returned = returns.reduce((sum, r) => sum + r.items.filter(i => i.lineIndex === index).reduce((q, i) => q + i.qty, 0), 0);
+            if (qty < 0 || qty > roundQty(item.qty - returned) || (!isLooseUnit(item.unit) && !Number.isInteger(qty))) {
+                valid = false;
+                return;
             }
+            const values = this.getSaleLineValues(sale, item);
+            const ratio = qty / item.qty;
+            items.push({
+                lineIndex: index,
+                id: item.id,
+                name: item.name,
+                unit: item.unit,
+                hsn: item.hsn,
+                price: item.price,
+                qty,
+                gstRate: item.gstRate !== undefined ? item.gstRate : this.getGstRate(item),
+                taxable: values.taxable * ratio,
+                tax: values.tax * ratio,
+                lineTotal: values.lineTotal * ratio
+            });
+        });
+        return valid ? items : null;
+    }
+
+    updateReturnTotal() {
+        const sale = this.store.get(this.store.keys.SALES).find(s => s.id === document.getElementById('return-sale-id').value);
+        const items = sale ? this.collectReturnItems(sale) : null;
+        document.getElementById('return-total').textContent = items ? formatMoney(items.reduce((sum, i) => sum + i.lineTotal, 0)) : 'Invalid quantity';
+    }
+
+    async processReturn() {
+        if (!this.requirePermission('sales.return')) return;
+        const sale = this.store.get(this.store.keys.SALES).find(s => s.id === document.getElementById('return-sale-id').value);
+        if (!sale) return alert('Sale not found');
+
+        const items = this.collectReturnItems(sale);
+        if (!items) return alert('Return quantity cannot exceed what is left on the bill');
+        if (items.length === 0) return alert('Enter a quantity for at least one item');
+
+        const refundMode = document.getElementById('return-refund-mode').value;
+        if (refundMode === 'credit' && !sale.customerId) return alert('Khata refund needs a bill with a customer');
+
+        const total = items.reduce((sum, i) => sum + i.lineTotal, 0);
+        if (!confirm(`Refund ${formatMoney(total)} by ${PAYMENT_MODE_LABELS[refundMode]} and restock ${items.length} item(s)?`)) return;
+
+        // GST reversed per slab, mirroring the original bill
+        const taxMap = {};
+        items.forEach(i => {
+            if (!taxMap[i.gstRate]) taxMap[i.gstRate] = { rate: i.gstRate, taxable: 0, tax: 0 };
+            taxMap[i.gstRate].taxable += i.taxable;
+            taxMap[i.gstRate].tax += i.tax;
         });
+        const taxLines = Object.values(taxMap).map(t => ({
+            ...t,
+            cgst: sale.interState ? 0 : t.tax / 2,
+            sgst: sale.interState ? 0 : t.tax / 2,
+            igst: sale.interState ? t.tax : 0
+        }));
+
+        const ret = {
+            id: generateId(),
+            creditNoteNo: null, // Numbered by addReturn under the cross-tab lock
+            date: getTimestamp(),
+            saleId: sale.id,
+            billNo: sale.billNo,
+            customer: sale.customer,
+            customerId: sale.customerId || null,
+            customerPhone: sale.customerPhone || '',
+            items,
+            subtotal: items.reduce((sum, i) => sum + i.taxable, 0),
+            tax: items.reduce((sum, i) => sum + i.tax, 0),
+            total,
+            taxLines,
+            interState: !!sale.interState,
+            refundMode,
+            // Points earned on the returned share of the bill are taken back
+            pointsReversed: sale.pointsEarned && sale.total > 0 ? Math.floor(sale.pointsEarned * total / sale.total) : 0,
+            reason: document.getElementById('return-reason').value.trim(),
+            staffId: this.state.currentUser.id,
+            staffName: this.state.currentUser.name
+        };
+
+        try {
+            await this.store.addReturn(ret);
+        } catch (err) {
+            if (err.conflict) alert(err.message);
+            return; // Storage errors are already shown; the return modal stays open
+        }
+        this.audit('sale.return', 'sale', sale.id, null, ret);
+        this.ui.hideModals();
+        this.generateCreditNote(ret);
+        this.loadReports();
+        this.loadDashboard();
+    }
+
+    generateCreditNote(ret) {
+        const showTax = this.state.settings.printTax !== false;
+        const rowsHtml = ret.items.map(i => `
+            <tr>
+                <td>
+                    <div class="font-bold">${i.name}</div>
+                    ${showTax && i.hsn ? `<div style="font-size: 10px; color: #444;">HSN ${i.hsn} @ ${i.gstRate}%</div>` : ''}
+                </td>
+                <td class="text-center">${formatQty(i.qty, i.unit)}</td>
+                <td class="text-right">${i.lineTotal.toFixed(2)}</td>
+            </tr>
+        `).join('');
+
+        this.printReceipt(`
+            <div class="receipt-content">
+                ${this.buildReceiptHeader()}
+                <div class="receipt-header"><p><b>CREDIT NOTE</b></p></div>
+
+                <div class="receipt-info">
+                    <div>Credit Note: <b>CN-${ret.creditNoteNo}</b></div>
+                    <div class="text-right">${new Date(ret.date).toLocaleDateString()} ${new Date(ret.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                    <div style="font-size: 11px; margin-top: 2px;">Against Bill: <b>#${ret.billNo}</b> · By: <b>${ret.staffName || 'Staff'}</b></div>
+                </div>
+
+                ${ret.customer && ret.customer !== 'Guest' ? `
+                <div class="receipt-customer">
+                    <div>Customer: <b>${ret.customer}</b>${ret.customerPhone ? ` (${ret.customerPhone})` : ''}</div>
+                </div>` : ''}
+
+                <table class="receipt-table">
+                    <thead>
+                        <tr>
+                            <th width="50%">Item Returned</th>
+                            <th width="20%" class="text-center">Qty</th>
+                            <th width="30%" class="text-right">Amt</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rowsHtml}
+                    </tbody>
+                </table>
+
+                <div class="receipt-totals">
+                    ${showTax ? `
+                    <div class="totals-row">
+                        <span>Taxable Value</span>
+                        <span>${ret.subtotal.toFixed(2)}</span>
+                    </div>
+                    <div class="totals-row">
+                        <span>${ret.interState ? 'IGST' : 'GST (CGST+SGST)'} Reversed</span>
+                        <span>${ret.tax.toFixed(2)}</span>
+                    </div>` : ''}
+                    <div class="totals-row final">
+                        <span>REFUND</span>
+                        <span>${ret.total.toFixed(2)}</span>
+                    </div>
+                    <div class="totals-row">
+                        <span>Refunded By</span>
+                        <span>${PAYMENT_MODE_LABELS[ret.refundMode] || ret.refundMode}</span>
+                    </div>
+                    ${ret.pointsReversed ? `
+                    <div class="totals-row">
+                        <span>Points Reversed</span>
+                        <span>${ret.pointsReversed}</span>
+                    </div>` : ''}
+                </div>
+
+                ${ret.reason ? `<div class="receipt-customer"><div>Reason: ${ret.reason}</div></div>` : ''}
+
+                <div class="receipt-footer">
+                    <p>*** Goods Returned ***</p>
+                </div>
+            </div>
+        `);
+    }
+
+    printCreditNote(returnId) {
+        const ret = this.store.get(this.store.keys.RETURNS).find(r => r.id === returnId);
+        if (ret) this.generateCreditNote(ret);
+        else alert('Credit note not found');
+    }
+
+    async deleteSale(saleId) {
+        // Checked before asking for a manager PIN; re-checked under the write lock
+        const target = this.store.get(this.store.keys.SALES).find(s => s.id === saleId);
+        if (!target) {
+            alert('Sale not found');
+            return;
+        }
+        if (this.getSaleReturns(saleId).length > 0) {
+            alert('This bill has returns against it and cannot be deleted. Use Return for any further items.');
+            return;
+        }
 
-        // Remove Sale
-        sales.splice(saleIndex, 1);
+        const approval = await this.authorize('sales.edit', 'sale.delete', `Delete bill #${target.billNo}`);
+        if (!approval) return;
+        if (!confirm('Are you sure you want to delete this sale? This will restore stock.')) return;
 
-        // Save Updates
-        this.store.set(this.store.keys.PRODUCTS, products);
-        this.store.set(this.store.keys.SALES, sales);
+        // Removes the sale and restores its stock together
+        let sale;
+        try {
+            sale = await this.store.removeSale(saleId);
+        } catch (err) {
+            if (err.conflict) alert(err.message);
+            return; // Storage errors are already shown
+        }
+        if (!sale) {
+            alert('Sale not found');
+            return;
+        }
+        this.audit('sale.delete', 'sale', sale.id, sale, approval === true ? null : { override: approval });
 
         alert('Sale deleted and stock restored.');
-        this.loadReports(); // Refresh UI
+        if (this.can('reports.view')) this.loadReports(); // Refresh UI (an override may have come from outside Reports)
         this.loadDashboard(); // Refresh Stock in other views if needed
     }
 
@@ -2309,43 +6095,52 @@ class App {
         }
     }
 
-    editSale(saleId) {
-        if (!confirm('Edit this sale? This will cancel the current bill and move items to cart for modification.')) return;
+    async editSale(saleId) {
+        // Same checks as deleteSale, ahead of any override prompt
+        const target = this.store.get(this.store.keys.SALES).find(s => s.id === saleId);
+        if (!target) {
+            alert('Sale not found');
+            return;
+        }
+        if (this.getSaleReturns(saleId).length > 0) {
+            alert('This bill has returns against it and cannot be edited. Use Return instead.');
+            return;
+        }
 
-        const sales = this.store.get(this.store.keys.SALES);
-        const saleIndex = sales.findIndex(s => s.id === saleId);
+        const approval = await this.authorize('sales.edit', 'sale.edit', `Edit bill #${target.billNo}`);
+        if (!approval) return;
+        if (!confirm('Edit this sale? This will cancel the current bill and move items to cart for modification.')) return;
 
-        if (saleIndex === -1) {
+        // 1. Remove Sale and Restore Stock (journaled until the bill is re-issued)
+        let sale;
+        try {
+            sale = await this.store.removeSale(saleId, true);
+        } catch (err) {
+            if (err.conflict) alert(err.message);
+            return; // Storage errors are already shown
+        }
+        if (!sale) {
             alert('Sale not found');
             return;
         }
+        this.audit('sale.edit', 'sale', sale.id, sale, approval === true ? null : { override: approval }); // Re-checkout is logged as sale.edit_complete
 
-        const sale = sales[saleIndex];
-
-        // Save Bill No for preservation
+        // 2. Save Bill No for preservation
         this.state.editingBillNo = sale.billNo;
 
-        const products = this.store.getProducts();
-
-        // 1. Restore Stock
-        sale.items.forEach(item => {
-            const productIndex = products.findIndex(p => p.id === item.id);
-            if (productIndex > -1) {
-                products[productIndex].stock += item.qty;
-            }
-        });
-
-        // 2. Remove Sale
-        sales.splice(saleIndex, 1);
-
-        // 3. Persist Changes (Stock & Sales)
-        this.store.set(this.store.keys.PRODUCTS, products);
-        this.store.set(this.store.keys.SALES, sales);
-
-        // 4. Move items to Cart
-        this.state.cart = [...sale.items];
-
-        // 5. Switch to Billing and Refresh
+        // 3. Move items (and bill discount) to Cart
+        this.state.cart = sale.items.map(({ discountAmount, ...item }) => item);
+        if (sale.billDiscount) this.state.billDiscount = { type: sale.billDiscount.type, value: sale.billDiscount.value };
+        this.state.interState = !!sale.interState;
+        this.state.redeemPoints = sale.pointsRedeemed || 0;
+        // The re-issued bill carries the edit approval; discounts are re-checked at checkout
+        this.resetBillOverrides();
+        if (approval !== true) this.state.billOverrides.push(approval);
+        document.getElementById('redeem-points-input').value = sale.pointsRedeemed || '';
+        document.getElementById('cust-name-input').value = sale.customer && sale.customer !== 'Guest' ? sale.customer : '';
+        document.getElementById('cust-phone-input').value = sale.customerPhone || '';
+
+        // 4. Switch to Billing and Refresh
         alert('Sale reverted to cart. Make changes and checkout again.');
         this.ui.showSection('billing');
         this.loadDashboard(); // Re-renders products with updated stock
@@ -2353,6 +6148,7 @@ class App {
     }
 
     exportReports() {
+        if (!this.requirePermission('reports.view')) return;
         if (!confirm('Download full report as Excel file?')) return;
 
         const dateInput = document.getElementById('report-date').value;
@@ -2364,8 +6160,17 @@ class App {
         const sales = this.store.get(this.store.keys.SALES);
         const filteredSales = sales.filter(s => s.date.startsWith(dateStr));
         const totalSales = filteredSales.reduce((sum, s) => sum + s.total, 0);
-        const cashSales = filteredSales.reduce((sum, s) => sum + (s.mode === 'cash' ? s.total : 0), 0);
-        const upiSales = filteredSales.reduce((sum, s) => sum + (s.mode === 'upi' ? s.total : 0), 0);
+        const cashSales = filteredSales.reduce((sum, s) => sum + getPaymentAmount(s, 'cash'), 0);
+        const upiSales = filteredSales.reduce((sum, s) => sum + getPaymentAmount(s, 'upi'), 0);
+        const totalDiscount = filteredSales.reduce((sum, s) => sum + (s.discount || 0), 0);
+        const totalTax = filteredSales.reduce((sum, s) => sum + (s.tax || 0), 0);
+        const creditGiven = filteredSales.reduce((sum, s) => sum + getPaymentAmount(s, 'credit'), 0);
+        const creditCollected = this.store.getCustomers()
+            .flatMap(c => c.repayments || [])
+            .filter(r => r.date === dateStr)
+            .reduce((sum, r) => sum + r.amount, 0);
+        const filteredReturns = this.store.get(this.store.keys.RETURNS).filter(r => r.date.startsWith(dateStr));
+        const totalReturns = filteredReturns.reduce((sum, r) => sum + r.total, 0);
 
         const log = this.store.getDailyLog(dateStr);
         const openingBalance = log ? log.openingBalance : 0;
@@ -2374,10 +6179,32 @@ class App {
             { Metric: "Report Date", Value: dateStr },
             { Metric: "Opening Balance", Value: openingBalance },
             { Metric: "Total Sales", Value: totalSales },
+            { Metric: "Returns (Credit Notes)", Value: totalReturns },
+            { Metric: "Net Sales", Value: totalSales - totalReturns },
             { Metric: "Cash Sales", Value: cashSales },
             { Metric: "UPI Sales", Value: upiSales },
+            { Metric: "Credit Given (Khata)", Value: creditGiven },
+            { Metric: "Credit Collected (Khata)", Value: creditCollected },
+            { Metric: "Points Earned", Value: filteredSales.reduce((sum, s) => sum + (s.pointsEarned || 0), 0)
+                - filteredReturns.reduce((sum, r) => sum + (r.pointsReversed || 0), 0) },
+            { Metric: "Points Redeemed", Value: filteredSales.reduce((sum, s) => sum + (s.pointsRedeemed || 0), 0) },
+            { Metric: "Points Liability (pts)", Value: this.getPointsLiability().points },
+            { Metric: "Points Liability (₹)", Value: this.getPointsLiability().value },
+            { Metric: "Total Discount", Value: totalDiscount },
+            { Metric: "Total GST", Value: totalTax.toFixed(2) },
             { Metric: "Total Transactions", Value: filteredSales.length }
         ];
+        // Margins and costs stay with roles that can see them on screen
+        const canSeeProfit = this.can('reports.profit');
+        const dayProfit = canSeeProfit ? this.getDailyProfit(dateStr) : null;
+        if (canSeeProfit) {
+            summaryData.push(
+                { Metric: "Wastage (at Cost)", Value: dayProfit.wastageCost.toFixed(2) },
+                { Metric: "Gross Profit", Value: dayProfit.grossProfit.toFixed(2) },
+                { Metric: "Total Expenses", Value: dayProfit.totalExpenses.toFixed(2) },
+                { Metric: "Net Profit (after Expenses and Wastage)", Value: dayProfit.netProfit.toFixed(2) }
+            );
+        }
 
         // -- Sales Detail --
         // -- Sales Detail (Summary) --
@@ -2385,9 +6212,15 @@ class App {
             "Bill ID": s.billNo,
             "Date Time": new Date(s.date).toLocaleString(),
             "Customer Name": s.customer,
-            "Payment Mode": s.mode === 'upi' ? 'UPI/GPay' : 'Cash',
+            "Payment Mode": describePayments(s),
+            "Cash Amount": getPaymentAmount(s, 'cash'),
+            "UPI Amount": getPaymentAmount(s, 'upi'),
+            "Credit Amount": getPaymentAmount(s, 'credit'),
+            "Discount": s.discount || 0,
+            "Taxable Value": (s.subtotal - (s.discount || 0)).toFixed(2),
+            "GST": (s.tax || 0).toFixed(2),
             "Total Amount": s.total,
-            "Items (Summary)": s.items.map(i => `${i.name} (${i.qty})`).join(', ')
+            "Items (Summary)": s.items.map(i => `${i.name} (${formatQty(i.qty, i.unit)})`).join(', ')
         }));
 
         // -- Itemized Sales (Detailed) --
@@ -2400,14 +6233,56 @@ class App {
                     "Customer": s.customer,
                     "Item Name": item.name,
                     "Category": item.category || 'N/A',
+                    "HSN": item.hsn || '',
+                    "GST %": item.gstRate !== undefined ? item.gstRate : '',
                     "Qty": item.qty,
+                    "Unit": item.unit || 'pcs',
                     "Unit Price": item.price,
                     "Item Total": (item.price * item.qty).toFixed(2),
-                    "Payment Mode": s.mode === 'upi' ? 'UPI/GPay' : 'Cash'
+                    "Item Discount": (item.discountAmount || 0).toFixed(2),
+                    "Payment Mode": describePayments(s)
                 });
             });
         });
 
+        // -- Returns (Credit Notes) --
+        const returnsData = filteredReturns.map(r => ({
+            "Credit Note": `CN-${r.creditNoteNo}`,
+            "Date Time": new Date(r.date).toLocaleString(),
+            "Against Bill": r.billNo,
+            "Customer": r.customer,
+            "Refund Mode": PAYMENT_MODE_LABELS[r.refundMode] || r.refundMode,
+            "Taxable Value": r.subtotal.toFixed(2),
+            "GST Reversed": r.tax.toFixed(2),
+            "Refund Amount": r.total.toFixed(2),
+            "Reason": r.reason || '',
+            "Items": r.items.map(i => `${i.name} (${formatQty(i.qty, i.unit)})`).join(', ')
+        }));
+
+        // -- GST Summary (per rate, for returns filing; credit notes reduce the liability) --
+        const gstMap = {};
+        const addTaxLines = (taxLines, sign) => {
+            (taxLines || []).forEach(t => {
+                if (!gstMap[t.rate]) gstMap[t.rate] = { "GST Rate %": t.rate, "Taxable Value": 0, "CGST": 0, "SGST": 0, "IGST": 0, "Total Tax": 0 };
+                const row = gstMap[t.rate];
+                row["Taxable Value"] += sign * t.taxable;
+                row["CGST"] += sign * t.cgst;
+                row["SGST"] += sign * t.sgst;
+                row["IGST"] += sign * t.igst;
+                row["Total Tax"] += sign * t.tax;
+            });
+        };
+        filteredSales.forEach(s => addTaxLines(s.taxLines, 1));
+        filteredReturns.forEach(r => addTaxLines(r.taxLines, -1));
+        const gstData = Object.values(gstMap).map(r => ({
+            ...r,
+            "Taxable Value": r["Taxable Value"].toFixed(2),
+            "CGST": r["CGST"].toFixed(2),
+            "SGST": r["SGST"].toFixed(2),
+            "IGST": r["IGST"].toFixed(2),
+            "Total Tax": r["Total Tax"].toFixed(2)
+        }));
+
         // -- Purchases --
         const purchases = this.store.get(this.store.keys.PURCHASES) || [];
         const purchaseData = purchases.map(p => ({
@@ -2424,20 +6299,34 @@ class App {
             "Category": p.category,
             "Stock": p.stock,
             "Unit": p.unit || 'pcs',
-            "Purchase Price": p.purchasePrice || p.price,
-            "Sales Price": p.salesPrice || p.price,
-            "Stock Value (Purchase)": (p.stock * (p.purchasePrice || p.price)).toFixed(2)
+            ...(canSeeProfit ? { "Purchase Price": p.purchasePrice } : {}),
+            "Sales Price": p.salesPrice,
+            ...(canSeeProfit ? { "Stock Value (Purchase)": (p.stock * p.purchasePrice).toFixed(2) } : {})
         }));
 
         // -- Expenses --
         const expenses = this.store.get(this.store.keys.EXPENSES) || [];
-        const expenseData = expenses.map(e => ({
+        const expenseData = !canSeeProfit ? null : expenses.map(e => ({
             "Date": e.date,
             "Category": e.category,
             "Description": e.description,
             "Amount": e.amount
         }));
 
+        // -- Wastage (day's write-offs at cost; shown, like profit, only to reports.profit) --
+        const wastageData = !canSeeProfit ? null : dayProfit.dateWastage.map(w => ({
+            "Date": w.date,
+            "Product": w.productName,
+            "Batch Expiry": w.expiryDate || '',
+            "Reason": WASTAGE_REASONS[w.reason] || w.reason,
+            "Notes": w.notes || '',
+            "Qty": w.qty,
+            "Unit": w.unit || 'pcs',
+            "Cost Price": w.costPrice,
+            "Cost Value": w.costValue,
+            "Recorded By": w.staffName || ''
+        }));
+
         // 2. Create Workbook and Sheets
         const wb = XLSX.utils.book_new();
 
@@ -2450,29 +6339,48 @@ class App {
         const itemizedSheet = XLSX.utils.json_to_sheet(itemizedSalesData);
         XLSX.utils.book_append_sheet(wb, itemizedSheet, "Itemized Sales");
 
+        const returnsSheet = XLSX.utils.json_to_sheet(returnsData);
+        XLSX.utils.book_append_sheet(wb, returnsSheet, "Returns");
+
+        const gstSheet = XLSX.utils.json_to_sheet(gstData);
+        XLSX.utils.book_append_sheet(wb, gstSheet, "GST Summary");
+
         const inventorySheet = XLSX.utils.json_to_sheet(inventoryData);
         XLSX.utils.book_append_sheet(wb, inventorySheet, "Inventory");
 
         const purchaseSheet = XLSX.utils.json_to_sheet(purchaseData);
         XLSX.utils.book_append_sheet(wb, purchaseSheet, "Purchases");
 
-        const expenseSheet = XLSX.utils.json_to_sheet(expenseData);
-        XLSX.utils.book_append_sheet(wb, expenseSheet, "Expenses");
+        if (expenseData) {
+            const expenseSheet = XLSX.utils.json_to_sheet(expenseData);
+            XLSX.utils.book_append_sheet(wb, expenseSheet, "Expenses");
+        }
+
+        if (wastageData) {
+            const wastageSheet = XLSX.utils.json_to_sheet(wastageData);
+            XLSX.utils.book_append_sheet(wb, wastageSheet, "Wastage");
+        }
 
         // 3. Save File
         XLSX.writeFile(wb, `BunButter_Report_${dateStr}.xlsx`);
     }
 
     downloadTemplate() {
+        if (!this.requirePermission('inventory.manage')) return;
         const wb = XLSX.utils.book_new();
 
         // 1. Template Sheet
-        const headers = ["Name", "Category", "Stock", "Unit", "PurchasePrice", "SalesPrice"];
+        const headers = ["Name", "Category", "Stock", "Unit", "PurchasePrice", "SalesPrice", "SKU", "Barcode"];
         const sampleData = [
-            ["Example Product", "Snacks", 100, "pcs", 8.00, 12.00],
-            ["Milk Bread", "Breads", 50, "pcs", 30, 40]
+            ["Example Product", "Snacks", 100, "pcs", 8.00, 12.00, "SNK-001", "8901234567890"],
+            ["Milk Bread", "Breads", 50, "pcs", 30, 40, "BRD-001", ""]
         ];
         const wsTemplate = XLSX.utils.aoa_to_sheet([headers, ...sampleData]);
+        // Keep barcodes as text so leading zeros survive
+        sampleData.forEach((row, i) => {
+            const cell = wsTemplate[XLSX.utils.encode_cell({ r: i + 1, c: 7 })];
+            if (cell) { cell.t = 's'; cell.v = String(cell.v); }
+        });
 
         // 2. Reference Sheet for Dropdowns
         const units = ["pcs", "pkt", "bun", "box", "dozen", "1kg", "500g", "250g", "100g", "kg", "1L", "500ml", "250ml", "L"];
@@ -2522,7 +6430,21 @@ class App {
         XLSX.writeFile(wb, "BunButter_Product_Template.xlsx");
     }
 
+    // Backups carry no credentials: keep this device's logins for matching staff, drop anything in the file
+    mergeLocalCredentials(restoredStaff) {
+        const local = this.store.getStaff();
+        return restoredStaff.map(s => {
+            const match = local.find(l => l.id === s.id) || local.find(l => l.username && s.username && l.username.toLowerCase() === String(s.username).toLowerCase());
+            const clean = stripCredentials(s);
+            if (!match) return clean;
+            const credentials = {};
+            CREDENTIAL_FIELDS.forEach(f => { if (match[f] !== undefined) credentials[f] = match[f]; });
+            return { ...clean, ...credentials, mustChangePassword: !!match.mustChangePassword };
+        });
+    }
+
     backupData() {
+        if (!this.requirePermission('settings.manage')) return;
         if (typeof XLSX === 'undefined') {
             alert('Excel library (SheetJS) not loaded. Cannot backup.');
             return;
@@ -2533,32 +6455,51 @@ class App {
 
         // 0. Settings & Metadata
         const settings = this.store.getSettings();
-        const lastBill = localStorage.getItem(this.store.keys.LAST_BILL);
+        const lastBill = this.store.getValue(this.store.keys.LAST_BILL);
+        const lastCreditNote = this.store.getValue(this.store.keys.LAST_CREDIT_NOTE);
         const settingsData = Object.entries(settings).map(([k, v]) => ({ Key: k, Value: v }));
         if (lastBill) settingsData.push({ Key: 'lastBill', Value: lastBill });
+        if (lastCreditNote) settingsData.push({ Key: 'lastCreditNote', Value: lastCreditNote });
+        settingsData.push({ Key: 'schemaVersion', Value: this.store.getSchemaVersion() });
 
         const settingsSheet = XLSX.utils.json_to_sheet(settingsData);
         XLSX.utils.book_append_sheet(wb, settingsSheet, "Settings");
 
         // 1. Products (Inventory)
         const products = this.store.getProducts();
-        const productSheet = XLSX.utils.json_to_sheet(products);
+        const productSheet = XLSX.utils.json_to_sheet(products.map(({ batches, ...p }) => ({
+            ...p,
+            batches_json: JSON.stringify(batches || [])
+        })));
         XLSX.utils.book_append_sheet(wb, productSheet, "Products");
 
         // 2. Sales (All Time)
         const sales = this.store.get(this.store.keys.SALES);
         const salesSheet = XLSX.utils.json_to_sheet(sales.map(s => {
-            const itemsReadable = s.items.map(i => `${i.name} (${i.qty})`).join(', ');
+            const itemsReadable = s.items.map(i => `${i.name} (${formatQty(i.qty, i.unit)})`).join(', ');
             return {
+                id: s.id,
                 billNo: s.billNo,
                 date: s.date,
                 customer: s.customer,
+                customerId: s.customerId || '',
+                customerPhone: s.customerPhone || '',
                 total: s.total,
                 mode: s.mode,
+                payments_json: JSON.stringify(getSalePayments(s)),
+                pointsEarned: s.pointsEarned || 0,
+                pointsRedeemed: s.pointsRedeemed || 0,
+                pointsDiscount: s.pointsDiscount || 0,
+                tendered: s.tendered,
+                change: s.change,
                 items: itemsReadable,
                 items_json: JSON.stringify(s.items), // Keep raw data for potential restore
                 subtotal: s.subtotal,
+                discount: s.discount || 0,
+                billDiscount_json: JSON.stringify(s.billDiscount || null),
                 tax: s.tax,
+                interState: !!s.interState,
+                taxLines_json: JSON.stringify(s.taxLines || []),
                 staffId: s.staffId
             };
         }));
@@ -2582,15 +6523,65 @@ class App {
         XLSX.utils.book_append_sheet(wb, purchaseSheet, "Purchases");
 
         // 5. Staff
-        const staff = this.store.getStaff();
+        // Credentials never leave the device; restored staff keep the local ones or get reset by an admin
+        const staff = this.store.getStaff().map(stripCredentials);
         const staffSheet = XLSX.utils.json_to_sheet(staff);
         XLSX.utils.book_append_sheet(wb, staffSheet, "Staff");
 
+        // 6. Customers
+        const customers = this.store.getCustomers();
+        const customerSheet = XLSX.utils.json_to_sheet(customers.map(({ repayments, ...c }) => ({
+            ...c,
+            outstanding: this.getCustomerStats({ ...c, repayments }).outstanding,
+            points: this.getCustomerStats({ ...c, repayments }).points,
+            repayments_json: JSON.stringify(repayments || [])
+        })));
+        XLSX.utils.book_append_sheet(wb, customerSheet, "Customers");
+
+        // 7. Returns (Credit Notes)
+        const returns = this.store.get(this.store.keys.RETURNS);
+        const returnsSheet = XLSX.utils.json_to_sheet(returns.map(({ items, taxLines, ...r }) => ({
+            ...r,
+            items_json: JSON.stringify(items),
+            taxLines_json: JSON.stringify(taxLines || [])
+        })));
+        XLSX.utils.book_append_sheet(wb, returnsSheet, "Returns");
+
+        // 8. Roles
+        const rolesSheet = XLSX.utils.json_to_sheet(this.store.getRoles().map(({ permissions, ...r }) => ({
+            ...r,
+            permissions: permissions.join(',')
+        })));
+        XLSX.utils.book_append_sheet(wb, rolesSheet, "Roles");
+
+        // 9. Audit Log (export only; hashes let an auditor re-verify the chain)
+        const auditSheet = XLSX.utils.json_to_sheet(this.store.getAuditLog().map(({ before, after, ...e }) => ({
+            ...e,
+            before_json: JSON.stringify(before),
+            after_json: JSON.stringify(after)
+        })));
+        XLSX.utils.book_append_sheet(wb, auditSheet, "Audit");
+
+        // 10. Wastage
+        const wastageSheet = XLSX.utils.json_to_sheet(this.store.get(this.store.keys.WASTAGE).map(({ batches, ...w }) => ({
+            ...w,
+            batches_json: JSON.stringify(batches || [])
+        })));
+        XLSX.utils.book_append_sheet(wb, wastageSheet, "Wastage");
+
+        // 11. Stock Ledger
+        const ledgerSheet = XLSX.utils.json_to_sheet(this.store.getStockLedger().map(({ batches, ...e }) => ({
+            ...e,
+            batches_json: JSON.stringify(batches || [])
+        })));
+        XLSX.utils.book_append_sheet(wb, ledgerSheet, "Stock Ledger");
+
         // Save
         XLSX.writeFile(wb, `BunButter_Backup_${timestamp}.xlsx`);
     }
 
     handleExcelImport(e) {
+        if (!this.requirePermission('inventory.manage')) return;
         const file = e.target.files[0];
         if (!file) return;
 
@@ -2616,7 +6607,9 @@ class App {
                     salesPrice: row['Sales Price'] || row['SalesPrice'] || row['Price'],
                     purchasePrice: row['Purchase Price'] || row['PurchasePrice'] || row['Cost'],
                     stock: row['Stock'] || row['stock'] || row['Qty'] || row['Quantity'],
-                    unit: row['Unit'] || row['unit']
+                    unit: row['Unit'] || row['unit'],
+                    sku: (row['SKU'] || row['sku'] || '').toString().trim(),
+                    barcode: (row['Barcode'] || row['barcode'] || row['EAN'] || '').toString().trim()
                 })).filter(p => p.name && (p.price || p.stock)); // Filter invalid rows
 
                 if (productsToImport.length === 0) {
@@ -2624,11 +6617,12 @@ class App {
                     return;
                 }
 
-                const result = this.store.importProducts(productsToImport);
-                alert(`Import Successful!\nAdded: ${result.added}\nUpdated: ${result.updated}`);
+                this.store.importProducts(productsToImport).then(result => {
+                    alert(`Import Successful!\nAdded: ${result.added}\nUpdated: ${result.updated}`);
 
-                // Refresh Inventory if active
-                this.loadInventory();
+                    // Refresh Inventory if active
+                    this.loadInventory();
+                }, () => {}); // Storage error already shown
 
                 // Reset input
                 e.target.value = '';